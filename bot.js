@@ -2,20 +2,23 @@ require('dotenv').config();
 const irc = require('irc-framework');
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
 const Redis = require('ioredis');
 
 class EloWardTwitchBot {
   constructor() {
-    // Two IRC connections for resilience (per README spec)
-    this.primaryBot = new irc.Client();
-    this.secondaryBot = new irc.Client();
-    this.channels = new Map(); // channel_name -> {primary: bool, secondary: bool}
+    // IRC connection pool - shards are added/removed as the roster grows or shrinks
+    this.connections = new Map(); // connection id -> {id, client, registered, retired, reconnectAttempts}
+    this.nextConnectionId = 0;
+    this.minConnections = 2; // Never fewer than two connections for resilience (per README spec)
+    this.channels = new Map(); // channel_name -> owning connection id
     this.maxChannelsPerConnection = 80; // 75-80 channels each per README
     this.WORKER_URL = process.env.CF_WORKER_URL || 'https://eloward-bot.unleashai.workers.dev';
     this.HMAC_SECRET = process.env.HMAC_SECRET;
     this.currentToken = null;
     this.tokenExpiresAt = 0;
-    this.reconnectAttempts = 0;
     this.maxReconnectDelay = 30000;
     this.tokenCheckInterval = null;
     this.configSweepInterval = null;
@@ -25,10 +28,114 @@ class EloWardTwitchBot {
     this.rankCache = new Map();   // user -> {hasRank, expires}
     this.expectedChannels = new Set(); // Track channels we should be in - MUST be initialized!
     // Presence tracking (real membership per connection)
-    this.joined = { primary: new Set(), secondary: new Set() };
+    this.joined = new Map(); // connection id -> Set of channels actually joined
     this.bannedOrRejected = new Set();
     this.initialLoadDone = false;
+
+    // Central JOIN scheduler - per-connection queues drawing from one account-wide token bucket.
+    // Bucket holds half the limit and refills the other half per window, so no sliding
+    // window can ever see more than joinRateLimit JOINs (Twitch: 20 per 10s).
+    this.joinRateLimit = 20;
+    this.joinWindowMs = 10000;
+    this.joinBucket = { tokens: this.joinRateLimit / 2, updatedAt: Date.now() };
+    this.joinDrainTimer = null;
+    this.joinsSent = 0;
+
+    // Outbound chat - per-connection PRIVMSG queues sharing the account-wide Twitch budget
+    this.chatWindowMs = 30000;
+    this.chatRateLimit = 20;         // per 30s when the bot is a regular user in the channel
+    this.chatRateLimitModded = 100;  // per 30s when the bot is mod/broadcaster in the channel
+    this.chatSentAt = [];            // send timestamps inside the current window
+    this.chatDrainTimer = null;
+    this.chatMaxAgeMs = { high: 60000, normal: 30000, low: 10000 }; // stale replies are dropped
+    this.chatPriorityOrder = { high: 0, normal: 1, low: 2 };
+    this.moddedChannels = new Set(); // channels where USERSTATE says the bot is mod/broadcaster
+
+    // Helix API client state - rate bucket from response headers, per-endpoint counters
+    this.HELIX_URL = 'https://api.twitch.tv/helix';
+    this.helixRateLimit = { limit: null, remaining: null, resetAt: 0 };
+    this.helixStats = new Map(); // endpoint -> {requests, ok, errors, rateLimited, retries, authFailures}
+    this.helixMaxRetries = 3;
+    this.tokenResync = null; // in-flight 401 token re-sync, shared by concurrent callers
+
+    // Twitch user IDs - bot's own ID resolved once, everyone else from IRC tags or a bounded cache
+    this.botUserId = null;
+    this.userIdCache = new Map(); // login -> id (insertion-ordered, oldest evicted first)
+    this.maxUserIdCacheSize = 10000;
+
+    // Local metrics (opt-in HTTP listener on localhost via METRICS_PORT)
+    this.metrics = { counters: new Map(), histograms: new Map() };
+    this.metricsServer = null;
+
+    // Structured, levelled JSON logging for the hot path (LOG_LEVEL, LOG_DEBUG_SAMPLE_RATE)
+    this.logLevel = EloWardTwitchBot.LOG_LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+    this.logSampleRate = this.parseSampleRate(process.env.LOG_DEBUG_SAMPLE_RATE, 1);
+    this.debugChannels = new Map(); // channel -> debug sample rate (verbose logging for one channel)
+
+    // Shadow (dry_run) enforcement - would-be timeouts per channel over a rolling window
+    this.shadowStats = new Map(); // channel -> Map(user -> {lastSeen, wouldTimeoutAt})
+    this.shadowWindowMs = 60 * 60 * 1000;
+    this.maxShadowChattersPerChannel = 5000;
+
+    // Progressive strike ladder - per-channel, per-user strikes that decay over time
+    this.strikes = new Map(); // `${channel}:${user}` -> {count, lastStrikeAt}
+    this.defaultStrikeDecayMinutes = 60;
+    this.maxLadderSteps = 10;
+
+    // Enforcement actions - scopes Helix has told us the token lacks (cleared when the token changes)
+    this.enforcementActions = ['delete', 'timeout', 'delete_and_timeout'];
+    this.missingScopes = new Set();
+
+    // First-time chatter grace - per-channel seen-set (in memory, so a restart starts everyone fresh)
+    this.chatterHistory = new Map(); // channel -> Map(user -> {firstSeen, lastSeen, messages, onboarded})
+    this.chatterRoles = new Map(); // channel -> Map(user -> {tags, seenAt}) - every channel, for !eloward check
+    this.maxChattersPerChannel = 5000;
+    this.chatterIdleMs = 24 * 3600000; // past the longest grace_minutes, so only the message count is forgotten
+
+    // Per-channel named exemption allowlist cap (keeps the config row and `list` reply small)
+    this.maxExemptUsers = 100;
+
+    // Temporary permits (!eloward permit) - default 30 minutes, max 7 days
+    this.defaultPermitMs = 30 * 60 * 1000;
+    this.maxPermitMs = 7 * 24 * 60 * 60 * 1000;
+    this.maxPermitsPerChannel = 50;
+
+    // Public reply cooldowns (!eloward, !eloward help, !commands) - mods bypass
+    this.publicCooldowns = new Map(); // channel -> {lastReply, commands: Map(command -> Map(user -> ts))}
+    this.defaultChannelCooldownSeconds = 30;
+    this.defaultUserCooldownSeconds = 60;
+    this.maxCooldownSeconds = 3600;
     
+    // Live-only (enforce_only_when_live) and category-gated (categories) enforcement - stream state from batched
+    // Helix /streams (+ /channels for offline categories) polls.
+    // A state older than streamStateMaxAgeMs counts as unknown, and unknown means enforce as usual.
+    this.streamState = new Map(); // channel -> {live, gameId, gameName, checkedAt, failedAt}
+    this.streamPollIntervalMs = 60000;
+    this.streamStateMaxAgeMs = 5 * 60 * 1000;
+    this.streamPollBatchSize = 100; // Helix /streams limit per call
+    this.streamPollTimer = null;
+    this.streamPollPending = new Set(); // channels with an on-demand poll in flight
+    this.maxCategoriesPerChannel = 20;
+
+    // Raid protection - incoming raids (USERNOTICE msg-id=raid) open a per-channel window where enforcement is
+    // suspended or replaced by the onboarding reply (raid_protection: suspend | warn | off, raid_grace_minutes)
+    this.raidWindows = new Map(); // channel -> {mode, from, viewers, until}
+    this.raidProtectionModes = ['suspend', 'warn', 'off'];
+    this.defaultRaidProtection = 'suspend';
+    this.defaultRaidGraceMinutes = 10;
+
+    // Config change history for !eloward history / undo - per channel, newest last (in memory; the Worker keeps the audit log)
+    this.configHistory = new Map(); // channel -> [{at, actor, source, fields, previous}]
+    this.maxConfigHistory = 20;
+    this.recentConfigWrites = new Map(); // channel -> [{fields (JSON), at}] - our own writes, to skip their Redis echo
+
+    // Message catalog (locales/<lang>.json) - per-channel `language`, English fallback for missing keys
+    this.messages = this.loadMessageCatalog();
+
+    // Twitch rejects chat messages and Helix timeout reasons over 500 characters
+    this.maxChatMessageLength = 500;
+    this.maxReasonLength = 500;
+
   // Super admin hard-whitelist (case-insensitive)
   this.superAdmins = new Set(['yomata1']);
     
@@ -63,13 +170,63 @@ class EloWardTwitchBot {
       .trim();
   }
 
+  // ---- Structured logging ----
+
+  parseSampleRate(value, fallback) {
+    const rate = parseFloat(value);
+    return isNaN(rate) ? fallback : Math.max(0, Math.min(1, rate));
+  }
+
+  // Debug logs are sampled: per-channel overrides win, otherwise the global level + sample rate apply
+  isDebugEnabled(channelLogin) {
+    const channelRate = channelLogin ? this.debugChannels.get(channelLogin) : undefined;
+    if (channelRate !== undefined) return Math.random() < channelRate;
+    return this.logLevel === 'debug' && Math.random() < this.logSampleRate;
+  }
+
+  // One JSON line per event with stable fields (channel, user, connection, decision, duration_ms)
+  log(level, msg, fields = {}) {
+    const levels = EloWardTwitchBot.LOG_LEVELS;
+    if (level === 'debug') {
+      if (!this.isDebugEnabled(fields.channel)) return;
+    } else if (levels[level] < levels[this.logLevel]) {
+      return;
+    }
+
+    const line = JSON.stringify({ ts: new Date().toISOString(), level, msg, ...fields });
+    if (level === 'error' || level === 'warn') console.error(line);
+    else console.log(line);
+  }
+
+  // Runtime log-level switch (Redis control message or local HTTP) - no redeploy needed
+  setLogLevel({ level, channel, sample_rate } = {}) {
+    if (channel) {
+      const channelLogin = String(channel).toLowerCase();
+      if (level === 'debug') {
+        this.debugChannels.set(channelLogin, this.parseSampleRate(sample_rate, 1));
+      } else {
+        this.debugChannels.delete(channelLogin);
+      }
+    } else {
+      if (EloWardTwitchBot.LOG_LEVELS[level] === undefined) {
+        throw new Error(`Invalid log level: ${level}`);
+      }
+      this.logLevel = level;
+      if (sample_rate !== undefined) this.logSampleRate = this.parseSampleRate(sample_rate, this.logSampleRate);
+    }
+
+    const state = { level: this.logLevel, sample_rate: this.logSampleRate, debug_channels: Object.fromEntries(this.debugChannels) };
+    this.log('info', 'Log level changed', { log_level: state.level, sample_rate: state.sample_rate, debug_channels: state.debug_channels });
+    return state;
+  }
+
   async start() {
     console.log('🚀 Starting EloWard Production IRC Bot...');
     console.log('📡 Worker URL:', this.WORKER_URL);
     console.log('⚡ Redis:', this.redis ? 'Configured for instant config updates (1-3s propagation)' : 'Not configured - using polling fallback');
     console.log('🔒 HMAC Security: Enabled (SHA-256, ±60s window)');
     console.log('💾 Local Caching: Config (1-2s TTL), Rank (30-60s TTL) for <400ms decisions');
-    console.log('🔗 IRC Connections: Dual connections for resilience (max 80 channels each)');
+    console.log(`🔗 IRC Connections: Sharded pool (min ${this.minConnections}, max ${this.maxChannelsPerConnection} channels each)`);
 
     // Get fresh token from Worker
     const tokenData = await this.getTokenFromWorker();
@@ -86,13 +243,15 @@ class EloWardTwitchBot {
     this.currentToken = tokenData.token;
     this.tokenExpiresAt = tokenData.expires_at;
 
+    await this.resolveBotUserId(tokenData);
     await this.connectToTwitch();
-    this.setupEventHandlers();
     this.startTokenMonitoring();
     this.startRedisSubscription();
     this.startConfigSweep();
     this.startChannelWatchdog();
     this.startChannelRosterRefresh();
+    this.startStreamPolling();
+    this.startMetricsServer();
   }
 
   // HMAC request signing for secure Worker communication
@@ -115,7 +274,9 @@ class EloWardTwitchBot {
     try {
       console.log('🔄 Requesting fresh token from Worker...');
       
+      const started = Date.now();
       const response = await fetch(`${this.WORKER_URL}/token`);
+      this.observeWorkerCall('/token', started, response.status);
       if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Unknown error' }));
         console.error('❌ Token request failed:', { 
@@ -140,29 +301,249 @@ class EloWardTwitchBot {
     }
   }
 
-  // Production IRC connection with dual connections for resilience
+  // Production IRC connection pool - always keeps at least minConnections shards
   async connectToTwitch() {
     if (!this.currentToken) {
       throw new Error('No token available for connection');
     }
 
-    console.log('🔌 Connecting to Twitch IRC with dual connections for resilience...');
+    while (this.connections.size < this.minConnections) {
+      this.addConnection({ connect: false });
+    }
+
+    console.log(`🔌 Connecting to Twitch IRC with ${this.connections.size} pooled connections...`);
+
+    // Stagger connections to avoid rate limits
+    let i = 0;
+    for (const conn of this.connections.values()) {
+      const delay = i++ * 2000;
+      setTimeout(() => {
+        if (!conn.retired) conn.client.connect(this.getConnectionConfig());
+      }, delay);
+    }
+  }
 
-    const connectionConfig = {
+  getConnectionConfig() {
+    return {
       host: 'irc.chat.twitch.tv',
       port: 6667,
       nick: 'elowardbot',
       username: 'elowardbot',
       password: this.currentToken
     };
+  }
 
-    // Connect both IRC clients for resilience
-    this.primaryBot.connect(connectionConfig);
-    
-    // Stagger secondary connection to avoid rate limits
-    setTimeout(() => {
-      this.secondaryBot.connect(connectionConfig);
-    }, 2000);
+  // Create a new IRC shard and wire its handlers; connects immediately once we hold a token
+  addConnection({ connect = true } = {}) {
+    const id = `shard${this.nextConnectionId++}`;
+    const conn = {
+      id,
+      client: new irc.Client(),
+      registered: false,
+      retired: false,
+      reconnectAttempts: 0,
+      joinQueue: new Map(), // channel -> enqueuedAt (pending JOINs, de-duplicated)
+      chatQueue: []         // pending PRIVMSGs: {channel, message, priority, tags, enqueuedAt}
+    };
+    this.connections.set(id, conn);
+    this.joined.set(id, new Set());
+    this.wireConnectionHandlers(conn);
+
+    if (connect && this.currentToken) {
+      console.log(`➕ Adding IRC connection ${id} (pool size ${this.connections.size})`);
+      conn.client.connect(this.getConnectionConfig());
+    }
+    return conn;
+  }
+
+  // Quit and forget a shard; its channels must already have been moved elsewhere
+  retireConnection(conn) {
+    conn.retired = true;
+    this.connections.delete(conn.id);
+    this.joined.delete(conn.id);
+    try { conn.client.quit('Shard retired'); } catch (_) {}
+    console.log(`➖ Retired IRC connection ${conn.id} (pool size ${this.connections.size})`);
+  }
+
+  // Number of channels assigned to each connection
+  getConnectionLoads() {
+    const loads = new Map();
+    for (const id of this.connections.keys()) loads.set(id, 0);
+    for (const id of this.channels.values()) {
+      if (loads.has(id)) loads.set(id, loads.get(id) + 1);
+    }
+    return loads;
+  }
+
+  // Pick the least-loaded connection with spare capacity, growing the pool when all are full
+  pickConnectionForChannel(excludeId = null) {
+    const loads = this.getConnectionLoads();
+    let best = null;
+    for (const [id, load] of loads) {
+      if (id === excludeId || load >= this.maxChannelsPerConnection) continue;
+      if (best === null || load < loads.get(best)) best = id;
+    }
+    if (best === null) best = this.addConnection().id;
+    return best;
+  }
+
+  // Assign a channel to a connection (if unowned) and return the owning connection
+  assignChannel(channelLogin) {
+    let id = this.channels.get(channelLogin);
+    if (!id || !this.connections.has(id)) {
+      id = this.pickConnectionForChannel();
+      this.channels.set(channelLogin, id);
+    }
+    return this.connections.get(id);
+  }
+
+  // Leave a channel on whichever connection owns it and drop the assignment
+  releaseChannel(channelLogin) {
+    const id = this.channels.get(channelLogin);
+    const conn = id && this.connections.get(id);
+    this.cancelJoin(channelLogin);
+    if (conn) {
+      if (this.joined.get(id)?.has(channelLogin)) {
+        try { conn.client.part(`#${channelLogin}`); } catch (_) {}
+      }
+      this.joined.get(id)?.delete(channelLogin);
+      console.log(`👋 Left ${channelLogin} on ${id}`);
+    }
+    this.channels.delete(channelLogin);
+  }
+
+  // Queue a JOIN for a channel on its owning connection (assigning one if needed).
+  // Every code path that joins channels goes through here so the account-wide budget holds.
+  enqueueJoin(channelLogin) {
+    if (this.bannedOrRejected.has(channelLogin)) return false;
+
+    const conn = this.assignChannel(channelLogin);
+    if (this.joined.get(conn.id)?.has(channelLogin)) return false;
+
+    // De-duplicate: a channel is pending on at most one connection (its current owner)
+    for (const other of this.connections.values()) {
+      if (other !== conn) other.joinQueue.delete(channelLogin);
+    }
+    if (!conn.joinQueue.has(channelLogin)) {
+      conn.joinQueue.set(channelLogin, Date.now());
+    }
+
+    this.scheduleJoinDrain(0);
+    return true;
+  }
+
+  // Drop any pending JOIN for a channel (disconnect, ban, roster removal)
+  cancelJoin(channelLogin) {
+    for (const conn of this.connections.values()) conn.joinQueue.delete(channelLogin);
+  }
+
+  // Pending JOINs per connection plus the total
+  getJoinQueueDepth() {
+    const byConnection = {};
+    let total = 0;
+    for (const conn of this.connections.values()) {
+      byConnection[conn.id] = conn.joinQueue.size;
+      total += conn.joinQueue.size;
+    }
+    return { total, byConnection };
+  }
+
+  refillJoinBucket() {
+    const now = Date.now();
+    const capacity = this.joinRateLimit / 2;
+    const refillPerMs = capacity / this.joinWindowMs;
+    this.joinBucket.tokens = Math.min(capacity, this.joinBucket.tokens + (now - this.joinBucket.updatedAt) * refillPerMs);
+    this.joinBucket.updatedAt = now;
+  }
+
+  scheduleJoinDrain(delay) {
+    if (this.joinDrainTimer) return;
+    this.joinDrainTimer = setTimeout(() => {
+      this.joinDrainTimer = null;
+      this.drainJoinQueues();
+    }, delay);
+  }
+
+  // Next pending JOIN across registered connections: enforcing channels first, then oldest
+  nextPendingJoin() {
+    let best = null;
+    for (const conn of this.connections.values()) {
+      if (!conn.registered || conn.retired) continue;
+      for (const [channel, enqueuedAt] of conn.joinQueue) {
+        const enforcing = !!this.getCachedConfig(channel)?.bot_enabled;
+        if (!best ||
+            (enforcing && !best.enforcing) ||
+            (enforcing === best.enforcing && enqueuedAt < best.enqueuedAt)) {
+          best = { conn, channel, enqueuedAt, enforcing };
+        }
+      }
+    }
+    return best;
+  }
+
+  drainJoinQueues() {
+    this.refillJoinBucket();
+
+    let stalled = false;
+    while (this.joinBucket.tokens >= 1) {
+      const next = this.nextPendingJoin();
+      if (!next) {
+        stalled = true;
+        break;
+      }
+
+      const { conn, channel } = next;
+      conn.joinQueue.delete(channel);
+      if (this.bannedOrRejected.has(channel) || this.joined.get(conn.id)?.has(channel)) continue;
+
+      try {
+        conn.client.join(`#${channel}`);
+      } catch (e) {
+        console.warn(`⚠️ JOIN #${channel} on ${conn.id} failed:`, e.message);
+        continue;
+      }
+      this.joinBucket.tokens -= 1;
+      this.joinsSent++;
+
+      // Progress logging every 10 joins
+      if (this.joinsSent % 10 === 0) {
+        const depth = this.getJoinQueueDepth();
+        console.log(`📊 JOIN queue: ${this.joinsSent} sent, ${depth.total} pending`, depth.byConnection);
+      }
+    }
+
+    // Wake up when the next token is available if anything is still waiting. Whatever is left on a
+    // shard that isn't registered yet waits for its 'registered' handler to kick the drain instead.
+    if (!stalled && this.getJoinQueueDepth().total > 0) {
+      const msPerToken = this.joinWindowMs / (this.joinRateLimit / 2);
+      const wait = Math.max(50, Math.ceil((1 - this.joinBucket.tokens) * msPerToken));
+      this.scheduleJoinDrain(wait);
+    }
+  }
+
+  // Shrink the pool when the roster no longer needs every shard, moving channels off the lightest one
+  rebalanceConnections() {
+    const needed = Math.max(this.minConnections, Math.ceil(this.channels.size / this.maxChannelsPerConnection));
+    while (this.connections.size > needed) {
+      const loads = this.getConnectionLoads();
+      const [lightestId, lightestLoad] = [...loads.entries()].sort((a, b) => a[1] - b[1])[0];
+      const conn = this.connections.get(lightestId);
+
+      // Only drain if the remaining shards can absorb every channel without growing the pool
+      let spare = 0;
+      for (const [id, load] of loads) if (id !== lightestId) spare += this.maxChannelsPerConnection - load;
+      if (spare < lightestLoad) break;
+
+      for (const [ch, owner] of [...this.channels.entries()]) {
+        if (owner !== lightestId) continue;
+        const target = this.connections.get(this.pickConnectionForChannel(lightestId));
+        this.joined.get(lightestId)?.delete(ch);
+        this.channels.set(ch, target.id);
+        this.enqueueJoin(ch);
+      }
+
+      this.retireConnection(conn);
+    }
   }
 
   // Permanent local caching - only invalidated by Redis pub/sub
@@ -238,6 +619,25 @@ class EloWardTwitchBot {
     return userValue >= minValue;
   }
 
+  // Check if user's rank is at or below a maximum
+  meetsMaximumRank(userTier, userDivision, maxTier, maxDivision) {
+    const userValue = this.getRankValue(userTier, userDivision);
+    const maxValue = this.getRankValue(maxTier, maxDivision);
+
+    // If we can't determine rank values, fail open (allow)
+    if (userValue === -1 || maxValue === -1) return true;
+
+    return userValue <= maxValue;
+  }
+
+  // "GOLD IV" / "MASTER" (Master+ tiers have no division)
+  formatRank(tier, division, lang = 'en') {
+    const t = (tier || '').toUpperCase();
+    if (!t) return '';
+    const name = this.t(lang, `tier.${t}`, {}, t);
+    return ['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(t) || !division ? name : `${name} ${String(division).toUpperCase()}`;
+  }
+
   // PRODUCTION TOKEN MONITORING - Refresh before expiry + Channel reloading
   startTokenMonitoring() {
     // Check token every 15 minutes
@@ -272,12 +672,14 @@ class EloWardTwitchBot {
       const oldToken = this.currentToken;
       this.currentToken = tokenData.token;
       this.tokenExpiresAt = tokenData.expires_at;
+      if (oldToken !== this.currentToken) this.missingScopes.clear(); // new grant, re-probe scopes
 
-      // If token actually changed, reconnect both connections
+      // If token actually changed, reconnect every pooled connection
       if (oldToken !== this.currentToken) {
-        console.log('🔄 Token changed - reconnecting both IRC connections...');
-        this.primaryBot.quit('Token refresh - reconnecting');
-        this.secondaryBot.quit('Token refresh - reconnecting');
+        console.log(`🔄 Token changed - reconnecting all ${this.connections.size} IRC connections...`);
+        for (const conn of this.connections.values()) {
+          conn.client.quit('Token refresh - reconnecting');
+        }
         
         setTimeout(() => {
           this.connectToTwitch();
@@ -293,190 +695,189 @@ class EloWardTwitchBot {
     }
   }
 
-  setupEventHandlers() {
-    const wirePresenceHandlers = (client, label) => {
-      client.on('join', (ev) => {
-        const ch = ev.channel?.replace('#','').toLowerCase();
-        const nick = (ev.nick || '').toLowerCase();
-        if (!ch || nick !== 'elowardbot') return;
-        (label === 'primary' ? this.joined.primary : this.joined.secondary).add(ch);
-        const cur = this.channels.get(ch) || { primary:false, secondary:false };
-        this.channels.set(ch, label === 'primary' ? { ...cur, primary:true } : { ...cur, secondary:true });
-      });
-
-      client.on('part', (ev) => {
-        const ch = ev.channel?.replace('#','').toLowerCase();
-        const nick = (ev.nick || '').toLowerCase();
-        if (!ch || nick !== 'elowardbot') return;
-        (label === 'primary' ? this.joined.primary : this.joined.secondary).delete(ch);
-        // If the channel is expected and not banned, nudge a rejoin with jitter
-        if (this.expectedChannels.has(ch) && !this.bannedOrRejected.has(ch)) {
-          setTimeout(() => { try { client.join(`#${ch}`); } catch(_) {} }, 500 + Math.floor(Math.random()*1500));
-        }
-      });
+  // Wire IRC handlers for a single pooled connection
+  wireConnectionHandlers(conn) {
+    const { id, client } = conn;
+    const joined = () => this.joined.get(id) || new Set();
 
-      client.on('notice', (ev) => {
-        const ch = (ev.target || '').replace('#','').toLowerCase();
-        const msg = (ev.message || '').toLowerCase();
-        if (!ch) return;
-        if (msg.includes('banned from this channel') ||
-            msg.includes('not allowed') ||
-            msg.includes('requires verified') ||
-            msg.includes('authentication failed')) {
-          this.bannedOrRejected.add(ch);
-          this.joined.primary.delete(ch);
-          this.joined.secondary.delete(ch);
-          const cur = this.channels.get(ch) || { primary:false, secondary:false };
-          this.channels.set(ch, { ...cur, primary:false, secondary:false });
-          console.warn(`🚫 Won't rejoin #${ch} (NOTICE: ${ev.message})`);
-        }
-      });
-    };
+    client.on('registered', async () => {
+      console.log(`✅ IRC connection ${id} established!`);
+      conn.registered = true;
+      conn.reconnectAttempts = 0;
 
-    // Primary connection event handlers
-    this.primaryBot.on('registered', async () => {
-      console.log('✅ Primary IRC connection established!');
-      this.reconnectAttempts = 0;
-      
       // Request Twitch-specific IRCv3 capabilities for tags, commands, and membership
-      console.log('🔧 Requesting Twitch IRCv3 capabilities for primary connection...');
-      this.primaryBot.raw('CAP REQ :twitch.tv/tags twitch.tv/commands twitch.tv/membership');
-      
-      // Wire up NOTICE logging for primary connection (catches Twitch rejections)
-      this.primaryBot.on('notice', (ev) => {
-        console.warn(`📣 NOTICE [primary] in ${ev.target || 'server'}: ${ev.message}`);
-      });
-      
-      // On first connect load roster; on reconnect just restore owned channels
+      console.log(`🔧 Requesting Twitch IRCv3 capabilities for ${id}...`);
+      client.raw('CAP REQ :twitch.tv/tags twitch.tv/commands twitch.tv/membership');
+
+      // First registration anywhere loads the roster; otherwise restore channels owned by this shard
       if (!this.initialLoadDone) {
-        await this.loadChannels();
         this.initialLoadDone = true;
-      } else {
-        const toJoin = [];
-        for (const [channel, own] of this.channels.entries()) {
-          if (own.primary && !this.bannedOrRejected.has(channel)) toJoin.push(channel);
-        }
-        console.log(`🔄 Restoring ${toJoin.length} channels on PRIMARY...`);
-        for (const ch of toJoin) { this.primaryBot.join(`#${ch}`); await new Promise(r => setTimeout(r, 667)); }
+        await this.loadChannels();
+        return;
+      }
+
+      const toJoin = [];
+      for (const [channel, owner] of this.channels.entries()) {
+        if (owner === id && !this.bannedOrRejected.has(channel)) toJoin.push(channel);
       }
+      console.log(`🔄 Restoring ${toJoin.length} channels on ${id}...`);
+      for (const ch of toJoin) this.enqueueJoin(ch);
+      this.scheduleJoinDrain(0);
     });
-    wirePresenceHandlers(this.primaryBot, 'primary');
 
-    this.primaryBot.on('privmsg', (event) => this.handleMessage(event, 'primary'));
-    this.primaryBot.on('error', (err) => this.handleConnectionError(err, 'primary'));
-    this.primaryBot.on('close', () => this.handleConnectionError(new Error('Primary connection closed'), 'primary'));
+    client.on('join', (ev) => {
+      const ch = ev.channel?.replace('#','').toLowerCase();
+      const nick = (ev.nick || '').toLowerCase();
+      if (!ch || nick !== 'elowardbot') return;
+      joined().add(ch);
+      this.channels.set(ch, id);
+    });
 
-    // Secondary connection event handlers  
-    this.secondaryBot.on('registered', async () => {
-      console.log('✅ Secondary IRC connection established for resilience!');
-      
-      // Request Twitch-specific IRCv3 capabilities for tags, commands, and membership
-      console.log('🔧 Requesting Twitch IRCv3 capabilities for secondary connection...');
-      this.secondaryBot.raw('CAP REQ :twitch.tv/tags twitch.tv/commands twitch.tv/membership');
-      
-      // Wire up NOTICE logging for secondary connection (catches Twitch rejections)
-      this.secondaryBot.on('notice', (ev) => {
-        console.warn(`📣 NOTICE [secondary] in ${ev.target || 'server'}: ${ev.message}`);
-      });
-      
-      // Always restore channels owned by secondary (no size threshold)
-      const toJoin = [];
-      for (const [channel, own] of this.channels.entries()) {
-        if (own.secondary && !this.bannedOrRejected.has(channel)) toJoin.push(channel);
+    client.on('part', (ev) => {
+      const ch = ev.channel?.replace('#','').toLowerCase();
+      const nick = (ev.nick || '').toLowerCase();
+      if (!ch || nick !== 'elowardbot') return;
+      joined().delete(ch);
+      // If the channel is expected, still ours and not banned, nudge a rejoin through the scheduler
+      if (this.expectedChannels.has(ch) && !this.bannedOrRejected.has(ch) && this.channels.get(ch) === id) {
+        this.enqueueJoin(ch);
+      }
+    });
+
+    client.on('notice', (ev) => {
+      // NOTICE logging catches Twitch rejections
+      console.warn(`📣 NOTICE [${id}] in ${ev.target || 'server'}: ${ev.message}`);
+
+      const ch = (ev.target || '').replace('#','').toLowerCase();
+      const msg = (ev.message || '').toLowerCase();
+      if (!ch) return;
+      if (msg.includes('banned from this channel') ||
+          msg.includes('not allowed') ||
+          msg.includes('requires verified') ||
+          msg.includes('authentication failed')) {
+        this.bannedOrRejected.add(ch);
+        this.cancelJoin(ch);
+        for (const set of this.joined.values()) set.delete(ch);
+        this.channels.delete(ch);
+        console.warn(`🚫 Won't rejoin #${ch} (NOTICE: ${ev.message})`);
+      }
+    });
+
+    // irc-framework has no USERNOTICE/USERSTATE handlers, so Twitch's own commands arrive here.
+    // USERNOTICE carries raids; USERSTATE tells us whether the bot is modded in a channel (decides the PRIVMSG budget)
+    client.on('unknown command', (command) => {
+      if (command.command === 'USERNOTICE') {
+        this.handleUserNotice(command, id);
+        return;
       }
-      console.log(`🔄 Restoring ${toJoin.length} channels on SECONDARY...`);
-      for (const ch of toJoin) { this.secondaryBot.join(`#${ch}`); await new Promise(r => setTimeout(r, 667)); }
+      if (command.command !== 'USERSTATE') return;
+      const ch = (command.params?.[0] || '').replace('#','').toLowerCase();
+      if (!ch) return;
+      const badges = this.parseBadges(command.tags?.badges || '');
+      const modded = command.tags?.mod === '1' ||
+        [...badges].some(b => b.startsWith('moderator/') || b.startsWith('broadcaster/'));
+      if (modded) this.moddedChannels.add(ch);
+      else this.moddedChannels.delete(ch);
     });
-    wirePresenceHandlers(this.secondaryBot, 'secondary');
 
-    this.secondaryBot.on('privmsg', (event) => this.handleMessage(event, 'secondary'));
-    this.secondaryBot.on('error', (err) => this.handleConnectionError(err, 'secondary'));
-    this.secondaryBot.on('close', () => this.handleConnectionError(new Error('Secondary connection closed'), 'secondary'));
+    client.on('privmsg', (event) => this.handleMessage(event, id));
+    client.on('error', (err) => this.handleConnectionError(err, id));
+    client.on('close', () => {
+      // Server-side membership is gone once the socket closes
+      conn.registered = false;
+      joined().clear();
+      this.handleConnectionError(new Error(`${id} connection closed`), id);
+    });
   }
 
-  // PRODUCTION ERROR HANDLING - Exponential backoff reconnection with dual connection support
-  async handleConnectionError(error, connection = 'unknown') {
-    console.error(`🔌 ${connection} connection error occurred:`, error.message);
+  // PRODUCTION ERROR HANDLING - Exponential backoff reconnection per pooled connection
+  async handleConnectionError(error, connectionId) {
+    console.error(`🔌 ${connectionId} connection error occurred:`, error.message);
     
     if (error.message.includes('Token refresh - reconnecting')) {
       return;
     }
 
-    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
-    this.reconnectAttempts++;
+    const conn = this.connections.get(connectionId);
+    if (!conn || conn.retired) {
+      return; // Shard was retired on purpose - nothing to reconnect
+    }
+
+    const delay = Math.min(1000 * Math.pow(2, conn.reconnectAttempts), this.maxReconnectDelay);
+    conn.reconnectAttempts++;
     
-    console.log(`🔄 Scheduling ${connection} reconnection attempt ${this.reconnectAttempts} in ${delay}ms`);
+    console.log(`🔄 Scheduling ${connectionId} reconnection attempt ${conn.reconnectAttempts} in ${delay}ms`);
     
     setTimeout(async () => {
       try {
+        if (conn.retired) return;
+
         const tokenData = await this.getTokenFromWorker();
         if (tokenData) {
           this.currentToken = tokenData.token;
           this.tokenExpiresAt = tokenData.expires_at;
         }
         
-        // Reconnect the specific connection that failed
-        const connectionConfig = {
-          host: 'irc.chat.twitch.tv',
-          port: 6667,
-          nick: 'elowardbot',
-          username: 'elowardbot',
-          password: this.currentToken
-        };
-
-        if (connection === 'primary') {
-          this.primaryBot.connect(connectionConfig);
-        } else if (connection === 'secondary') {
-          this.secondaryBot.connect(connectionConfig);
-        } else {
-          // Fallback: reconnect both
-          await this.connectToTwitch();
-        }
+        // Reconnect only the connection that failed
+        conn.client.connect(this.getConnectionConfig());
       } catch (e) {
-        console.error(`❌ ${connection} reconnection attempt ${this.reconnectAttempts} failed:`, e.message);
+        console.error(`❌ ${connectionId} reconnection attempt ${conn.reconnectAttempts} failed:`, e.message);
       }
     }, delay);
   }
 
-  // Which connection owns this channel? (prevents duplicate replies & allows secondary to respond)
+  // Default connection for channels we haven't assigned yet (lowest shard id)
+  getDefaultConnection() {
+    return this.connections.values().next().value || null;
+  }
+
+  // Which connection owns this channel? (prevents duplicate replies across shards)
   isConnectionForChannel(channelLogin, connection) {
-    const entry = this.channels.get(channelLogin);
-    if (!entry) {
-      // If we don't know yet, prefer primary to avoid dupes.
-      return connection === 'primary';
+    const owner = this.channels.get(channelLogin);
+    if (!owner || !this.connections.has(owner)) {
+      // If we don't know yet, prefer the default connection to avoid dupes.
+      return connection === this.getDefaultConnection()?.id;
     }
-    return !!entry[connection];
+    return owner === connection;
   }
 
   // Helper: pick the correct IRC client for a channel
   getClientForChannel(channelLogin) {
-    const entry = this.channels.get(channelLogin);
-    if (entry?.primary) return this.primaryBot;
-    if (entry?.secondary) return this.secondaryBot;
-    // Fallback: if we don't have an entry yet, prefer primary
-    return this.primaryBot;
+    const conn = this.connections.get(this.channels.get(channelLogin));
+    if (conn) return conn.client;
+    // Fallback: if we don't have an entry yet, prefer the default connection
+    return this.getDefaultConnection()?.client;
   }
 
-  // PRODUCTION MESSAGE PROCESSING - Fast decisions with local caching (dual connection support)
-  async handleMessage(event, connection = 'primary') {
+  // PRODUCTION MESSAGE PROCESSING - Fast decisions with local caching (pooled connection support)
+  async handleMessage(event, connection) {
     const startTime = Date.now();
     const channelLogin = event.target.replace('#', '');
     const userLogin = event.nick;
+    const logFields = { channel: channelLogin, user: userLogin, connection };
 
     const rawMessage = event.message || '';
     const message = this.cleanMessage(rawMessage);   // <— sanitize once
+
+    // Every message carries user and room IDs - keep the login→ID cache warm for free
+    this.rememberUserId(userLogin, event.tags?.['user-id']);
+    this.rememberUserId(channelLogin, event.tags?.['room-id']);
     const onThisConn = this.isConnectionForChannel(channelLogin, connection);
+    this.recordChatterRoles(channelLogin, userLogin, event);
 
     // Handle !eloward* (prefix match on sanitized text)
     if ((/^!eloward(\b|$)/i).test(message) && onThisConn) {
-      console.log(`🎯 Chat command detected: ${userLogin} in ${channelLogin}: ${message}`);
+      this.log('info', 'Chat command', { ...logFields, command: message });
       return this.handleChatCommand(channelLogin, userLogin, message, event);
     }
 
     // Handle !commands (exact after sanitize)
     if (message.toLowerCase() === '!commands' && onThisConn) {
-      console.log(`🎯 Commands command detected: ${userLogin} in ${channelLogin}`);
-      await this.sendChatMessage(channelLogin, `@${userLogin} Full command list: https://www.eloward.com/setup/bot#commands-reference`);
+      this.log('info', 'Chat command', { ...logFields, command: '!commands' });
+      const commandsConfig = await this.getCurrentConfig(channelLogin);
+      if (!this.isUserCommandPrivileged(event, channelLogin) &&
+          !this.checkPublicCooldown(channelLogin, userLogin, commandsConfig, '!commands')) return;
+      await this.sendChatMessage(channelLogin, this.t(this.getLanguage(commandsConfig), 'commands.list', { user: userLogin }), { priority: 'low' });
       return;
     }
 
@@ -484,38 +885,56 @@ class EloWardTwitchBot {
       // Step 1: Get channel config (cache hit = instant decision)
       let config = this.getCachedConfig(channelLogin);
       const configCached = !!config;
+      this.incCounter('eloward_cache_requests_total', { cache: 'config', result: configCached ? 'hit' : 'miss' });
       
       if (!config) {
         // Cache miss - HMAC call to Worker
-        console.log(`🔍 Config cache miss for ${channelLogin}, fetching from Worker...`);
         config = await this.fetchChannelConfig(channelLogin);
         this.setCachedConfig(channelLogin, config);
       }
 
-      // Debug: Always log the config state for troubleshooting
-      console.log(`🔍 Config check for ${channelLogin}: enabled=${config?.bot_enabled}, cached=${configCached}, config=${config ? 'present' : 'null'}`);
-
       if (!config?.bot_enabled) {
         // Channel not configured or in standby mode - allow all messages
-        console.log(`⏸️  Bot in standby for ${channelLogin} (enabled: ${config?.bot_enabled}), allowing message from ${userLogin}`);
+        const duration_ms = this.observeDecision('standby', startTime);
+        this.log('debug', 'Message decision', { ...logFields, decision: 'standby', config_cached: configCached, duration_ms });
+        return;
+      }
+
+      // Grace counts every message while enforcing, paused or not - against the resolved config, never an empty cache
+      const chatter = this.recordChatter(channelLogin, userLogin, event, config);
+
+      // Step 1b: Enforcing, but paused (live-only channel offline, or a category outside the allowlist) - behaves like standby
+      if (config.enforce_only_when_live || config.categories) this.ensureStreamState(channelLogin);
+      const paused = this.getEnforcementPause(config, channelLogin);
+      if (paused) {
+        const duration_ms = this.observeDecision('paused', startTime);
+        this.log('debug', 'Message decision', { ...logFields, decision: 'paused', paused, config_cached: configCached, duration_ms });
         return;
       }
 
-      console.log(`🤖 Bot active in ${channelLogin}, processing message from ${userLogin} (config cached: ${configCached})`);
+      // Step 2: Check if user is exempt (broadcaster/mod always; subs/VIPs/founders/allowlist per channel policy)
+      if (this.isUserEnforcementExempt(event, channelLogin, config)) {
+        if (config.dry_run) this.recordShadowDecision(channelLogin, userLogin, false);
+        const duration_ms = this.observeDecision('exempt', startTime);
+        this.log('debug', 'Message decision', { ...logFields, decision: 'exempt', duration_ms });
+        return;
+      }
 
-      // Step 2: Check if user is exempt (hard-coded: broadcaster/mod/sub)
-      if (this.isUserEnforcementExempt(event, channelLogin)) {
-        console.log(`👑 Enforcement exempt (broadcaster/mod/sub): ${userLogin} in ${channelLogin}`);
+      // Step 2b: Temporary mod-issued permit (stored in config, so it survives restarts and reaches every instance)
+      if (this.hasActivePermit(config, userLogin)) {
+        if (config.dry_run) this.recordShadowDecision(channelLogin, userLogin, false);
+        const duration_ms = this.observeDecision('permit', startTime);
+        this.log('debug', 'Message decision', { ...logFields, decision: 'permit', duration_ms });
         return;
       }
 
       // Step 3: Check user rank (cache hit = instant decision)
       let rankResult = this.getCachedRank(userLogin);
       const rankCached = !!rankResult;
+      this.incCounter('eloward_cache_requests_total', { cache: 'rank', result: rankCached ? 'hit' : 'miss' });
       
       if (!rankResult) {
         // Cache miss - HMAC call to Worker
-        console.log(`🔍 Rank cache miss for ${userLogin}, fetching from Worker...`);
         const fetchedRank = await this.fetchUserRank(userLogin);
         this.setCachedRank(userLogin, fetchedRank.hasRank, fetchedRank.rankData);
         rankResult = { 
@@ -525,35 +944,247 @@ class EloWardTwitchBot {
         };
       }
 
-      // Enhanced logging for min_rank mode
-      if (config.enforcement_mode === 'min_rank' && rankResult.rankData) {
-        console.log(`📊 Rank check for ${userLogin}: ${rankResult.rankData.rank_tier} ${rankResult.rankData.rank_division || ''} (cached: ${rankCached}, min: ${config.min_rank_tier} ${config.min_rank_division || ''})`);
-      } else {
-        console.log(`📊 Rank check for ${userLogin}: hasRank=${rankResult.hasRank} (cached: ${rankCached})`);
-      }
-
       // Step 4: Apply enforcement logic
-      const shouldTimeout = this.shouldTimeoutUser(rankResult, config);
-      
-      console.log(`⚖️  Enforcement decision for ${userLogin} in ${channelLogin}: shouldTimeout=${shouldTimeout} (mode: ${config.enforcement_mode})`);
+      const { timeout: shouldTimeout, rule } = this.evaluateRank(rankResult, config);
+      const decisionFields = {
+        ...logFields,
+        mode: config.enforcement_mode,
+        rule,
+        has_rank: rankResult.hasRank,
+        rank: rankResult.rankData ? `${rankResult.rankData.rank_tier || ''} ${rankResult.rankData.rank_division || ''}`.trim() : null,
+        config_cached: configCached,
+        rank_cached: rankCached
+      };
       
-      if (shouldTimeout) {
-        console.log(`🔨 Executing timeout for ${userLogin} in ${channelLogin}...`);
-        await this.executeTimeout(channelLogin, userLogin, config, event);
-        const duration = Date.now() - startTime;
-        console.log(`⏱️  Message decision: TIMEOUT ${userLogin} in ${channelLogin} (${duration}ms)`);
+      if (config.dry_run) {
+        // Shadow mode: full pipeline, but only record what would have happened
+        this.recordShadowDecision(channelLogin, userLogin, shouldTimeout);
+        const decision = shouldTimeout ? 'shadow_timeout' : 'allow';
+        const duration_ms = this.observeDecision(decision, startTime);
+        this.log(shouldTimeout ? 'info' : 'debug', 'Message decision', { ...decisionFields, decision, dry_run: true, duration_ms });
+      } else if (shouldTimeout && this.isInGracePeriod(config, chatter, event)) {
+        // New viewer: explain EloWard instead of enforcing
+        await this.sendOnboardingMessage(channelLogin, userLogin, chatter, event, config);
+        const duration_ms = this.observeDecision('grace', startTime);
+        this.log('info', 'Message decision', { ...decisionFields, decision: 'grace', messages_seen: chatter.messages, duration_ms });
+      } else if (shouldTimeout && this.getRaidWindow(channelLogin)?.mode === 'warn') {
+        // Raid window (warn-only): raiders get the onboarding reply instead of a timeout
+        await this.sendOnboardingMessage(channelLogin, userLogin, chatter, event, config);
+        const duration_ms = this.observeDecision('raid_grace', startTime);
+        this.log('info', 'Message decision', { ...decisionFields, decision: 'raid_grace', duration_ms });
+      } else if (shouldTimeout) {
+        await this.executeEnforcement(channelLogin, userLogin, config, event, rankResult.rankData);
+        const duration_ms = this.observeDecision('timeout', startTime);
+        this.log('info', 'Message decision', { ...decisionFields, decision: 'timeout', duration_ms });
       } else {
-        const duration = Date.now() - startTime;
-        console.log(`✅ Message allowed: ${userLogin} in ${channelLogin} (${duration}ms)`);
+        const duration_ms = this.observeDecision('allow', startTime);
+        this.log('debug', 'Message decision', { ...decisionFields, decision: 'allow', duration_ms });
       }
 
     } catch (error) {
-      const duration = Date.now() - startTime;
-      console.error(`❌ Message processing error for ${userLogin} in ${channelLogin} (${duration}ms):`, error.message);
+      const duration_ms = this.observeDecision('error', startTime);
+      this.log('error', 'Message processing error', { ...logFields, decision: 'error', duration_ms, error: error.message });
       // Fail open on errors - don't timeout on system failures
     }
   }
 
+  // Only enforcing channels with grace (or a warn-only raid window) need per-chatter history
+  shouldTrackChatters(config, channelLogin) {
+    if (!config?.bot_enabled) return false;
+    return config.grace_messages > 0 || config.grace_minutes > 0 || !!config.grace_first_msg ||
+      this.getRaidWindow(channelLogin)?.mode === 'warn';
+  }
+
+  // Count a chatter's messages in a channel (oldest chatters evicted past the per-channel bound).
+  // Channels that don't need the history get a throwaway entry instead.
+  recordChatter(channelLogin, userLogin, event, config) {
+    if (!this.shouldTrackChatters(config, channelLogin)) {
+      return { firstSeen: Date.now(), lastSeen: Date.now(), messages: 1, onboarded: false };
+    }
+
+    let chatters = this.chatterHistory.get(channelLogin);
+    if (!chatters) {
+      chatters = new Map();
+      this.chatterHistory.set(channelLogin, chatters);
+    }
+
+    const user = String(userLogin || '').toLowerCase();
+    const entry = chatters.get(user) || { firstSeen: Date.now(), messages: 0, onboarded: false };
+    chatters.delete(user); // re-insert so recently active chatters are evicted last
+    entry.messages++;
+    entry.lastSeen = Date.now();
+    chatters.set(user, entry);
+
+    while (chatters.size > this.maxChattersPerChannel) {
+      chatters.delete(chatters.keys().next().value);
+    }
+    return entry;
+  }
+
+  // Last-seen role tags, so !eloward check can apply exemptions for users who aren't messaging right now.
+  // Kept in every channel (unlike the grace history), bounded the same way.
+  recordChatterRoles(channelLogin, userLogin, event) {
+    if (!event?.tags) return;
+    let roles = this.chatterRoles.get(channelLogin);
+    if (!roles) {
+      roles = new Map();
+      this.chatterRoles.set(channelLogin, roles);
+    }
+
+    const user = String(userLogin || '').toLowerCase();
+    const { badges, mod, subscriber, vip } = event.tags;
+    roles.delete(user); // re-insert so recently active chatters are evicted last
+    roles.set(user, { tags: { badges, mod, subscriber, vip }, seenAt: Date.now() });
+
+    while (roles.size > this.maxChattersPerChannel) {
+      roles.delete(roles.keys().next().value);
+    }
+  }
+
+  // Drop chatter history for channels that no longer track it, and chatters idle past chatterIdleMs
+  // (role tags too, plus those of channels that left the roster).
+  // Maps are in activity order (recordChatter re-inserts), so the idle ones are at the front.
+  pruneChatterHistory() {
+    const cutoff = Date.now() - this.chatterIdleMs;
+    for (const [channelLogin, chatters] of this.chatterHistory) {
+      const config = this.getCachedConfig(channelLogin);
+      if (config && !this.shouldTrackChatters(config, channelLogin)) {
+        this.chatterHistory.delete(channelLogin);
+        continue;
+      }
+      for (const [user, entry] of chatters) {
+        if (entry.lastSeen >= cutoff) break;
+        chatters.delete(user);
+      }
+      if (chatters.size === 0) this.chatterHistory.delete(channelLogin);
+    }
+
+    for (const [channelLogin, roles] of this.chatterRoles) {
+      if (!this.channels.has(channelLogin)) {
+        this.chatterRoles.delete(channelLogin);
+        continue;
+      }
+      for (const [user, entry] of roles) {
+        if (entry.seenAt >= cutoff) break;
+        roles.delete(user);
+      }
+      if (roles.size === 0) this.chatterRoles.delete(channelLogin);
+    }
+  }
+
+  // Grace applies for the first N messages, the first X minutes, or a Twitch first-msg
+  isInGracePeriod(config, chatter, event) {
+    if (config.grace_first_msg && event?.tags?.['first-msg'] === '1') return true;
+    if (config.grace_messages > 0 && chatter.messages <= config.grace_messages) return true;
+    if (config.grace_minutes > 0 && Date.now() - chatter.firstSeen < config.grace_minutes * 60000) return true;
+    return false;
+  }
+
+  // USERNOTICE (subs, raids, ...) - only raids matter, handled on the connection that owns the channel
+  async handleUserNotice(command, connectionId) {
+    const channelLogin = (command.params?.[0] || '').replace('#', '').toLowerCase();
+    if (command.tags?.['msg-id'] !== 'raid' || !channelLogin || !this.isConnectionForChannel(channelLogin, connectionId)) return;
+
+    try {
+      const from = String(command.tags['msg-param-login'] || command.tags.login || 'unknown').toLowerCase();
+      const viewers = parseInt(command.tags['msg-param-viewercount'], 10) || 0;
+      const config = await this.getCurrentConfig(channelLogin);
+      const mode = this.raidProtectionModes.includes(config?.raid_protection) ? config.raid_protection : this.defaultRaidProtection;
+      const logFields = { channel: channelLogin, from, viewers, mode };
+
+      // Nothing to protect raiders from unless the bot is actually enforcing (a running raid window is simply replaced)
+      const paused = this.getEnforcementPause(config, channelLogin);
+      if (!config?.bot_enabled || mode === 'off' || (paused && paused !== 'raid')) {
+        this.log('info', 'Raid received, no protection window', logFields);
+        return;
+      }
+
+      const minutes = config.raid_grace_minutes || this.defaultRaidGraceMinutes;
+      this.raidWindows.set(channelLogin, { mode, from, viewers, until: Date.now() + minutes * 60000 });
+      this.incCounter('eloward_raid_windows_total', { mode });
+      this.log('info', 'Raid protection window opened', { ...logFields, minutes });
+
+      const lang = this.getLanguage(config);
+      await this.sendChatMessage(channelLogin, this.t(lang, `raid.announce_${mode}`, { from, viewers, minutes }), { priority: 'high' });
+    } catch (error) {
+      this.log('warn', 'Raid handling error', { channel: channelLogin, error: error.message });
+    }
+  }
+
+  // Active raid window for a channel (expired windows are dropped on read)
+  getRaidWindow(channelLogin) {
+    const window = this.raidWindows.get(channelLogin);
+    if (window && Date.now() >= window.until) {
+      this.raidWindows.delete(channelLogin);
+      return null;
+    }
+    return window || null;
+  }
+
+  formatRaidPolicy(config, lang) {
+    const mode = this.raidProtectionModes.includes(config?.raid_protection) ? config.raid_protection : this.defaultRaidProtection;
+    if (mode === 'off') return this.t(lang, 'raid.policy.off');
+    return this.t(lang, `raid.policy.${mode}`, { minutes: config?.raid_grace_minutes || this.defaultRaidGraceMinutes });
+  }
+
+  // Friendly one-time onboarding reply, threaded onto the viewer's message
+  async sendOnboardingMessage(channelLogin, userLogin, chatter, event, config) {
+    if (chatter.onboarded) return;
+    chatter.onboarded = true;
+    const parentId = event?.tags?.id;
+    await this.sendChatMessage(
+      channelLogin,
+      this.t(this.getLanguage(config), 'onboarding', { user: userLogin }),
+      { tags: parentId ? { 'reply-parent-msg-id': parentId } : null }
+    );
+  }
+
+  formatGracePolicy(config, lang = 'en') {
+    const rules = [];
+    if (config?.grace_messages > 0) rules.push(this.t(lang, 'grace.messages', { count: config.grace_messages }));
+    if (config?.grace_minutes > 0) rules.push(this.t(lang, 'grace.minutes', { minutes: config.grace_minutes }));
+    if (config?.grace_first_msg) rules.push(this.t(lang, 'grace.first_msg'));
+    return rules.length ? rules.join(', ') : this.t(lang, 'grace.off');
+  }
+
+  // Record a shadow-mode evaluation for the rolling "would have timed out" summary
+  recordShadowDecision(channelLogin, userLogin, wouldTimeout) {
+    let chatters = this.shadowStats.get(channelLogin);
+    if (!chatters) {
+      chatters = new Map();
+      this.shadowStats.set(channelLogin, chatters);
+    }
+
+    const now = Date.now();
+    const user = String(userLogin || '').toLowerCase();
+    const entry = chatters.get(user) || { lastSeen: 0, wouldTimeoutAt: 0 };
+    chatters.delete(user); // re-insert so the oldest chatters are evicted first
+    entry.lastSeen = now;
+    if (wouldTimeout) entry.wouldTimeoutAt = now;
+    chatters.set(user, entry);
+
+    while (chatters.size > this.maxShadowChattersPerChannel) {
+      chatters.delete(chatters.keys().next().value);
+    }
+  }
+
+  // Chatters seen and would-be timeouts in the last shadowWindowMs (prunes older entries)
+  getShadowSummary(channelLogin) {
+    const chatters = this.shadowStats.get(channelLogin);
+    const cutoff = Date.now() - this.shadowWindowMs;
+    let seen = 0;
+    let wouldTimeout = 0;
+    for (const [user, entry] of chatters || []) {
+      if (entry.lastSeen < cutoff) {
+        chatters.delete(user);
+        continue;
+      }
+      seen++;
+      if (entry.wouldTimeoutAt >= cutoff) wouldTimeout++;
+    }
+    return { seen, wouldTimeout };
+  }
+
   // HMAC-secured config fetch with caching
   async fetchChannelConfig(channelLogin) {
     try {
@@ -561,25 +1192,27 @@ class EloWardTwitchBot {
       const body = JSON.stringify({ channel_login: channelLogin });
       const headers = this.signRequest('POST', path, body);
       
+      const started = Date.now();
       const response = await fetch(`${this.WORKER_URL}${path}`, {
         method: 'POST',
         headers,
         body
       });
+      this.observeWorkerCall(path, started, response.status);
 
       if (response.ok) {
         const config = await response.json();
-        console.log(`📥 Config fetched for ${channelLogin}: enabled=${config.bot_enabled}, enforcement=${config.enforcement_mode}`);
+        this.log('debug', 'Config fetched', { channel: channelLogin, enabled: config.bot_enabled, mode: config.enforcement_mode });
         return config;
       } else if (response.status === 404) {
-        console.log(`📭 No config found for ${channelLogin} (404)`);
+        this.log('debug', 'No config found', { channel: channelLogin });
         return null; // Channel not configured
       } else {
-        console.warn(`Config fetch failed for ${channelLogin}: ${response.status}`);
+        this.log('warn', 'Config fetch failed', { channel: channelLogin, status: response.status });
         return null;
       }
     } catch (error) {
-      console.warn(`Config fetch error for ${channelLogin}:`, error.message);
+      this.log('warn', 'Config fetch error', { channel: channelLogin, error: error.message });
       return null;
     }
   }
@@ -591,17 +1224,19 @@ class EloWardTwitchBot {
       const body = JSON.stringify({ user_login: userLogin });
       const headers = this.signRequest('POST', path, body);
       
+      const started = Date.now();
       const response = await fetch(`${this.WORKER_URL}${path}`, {
         method: 'POST',
         headers,
         body
       });
+      this.observeWorkerCall(path, started, response.status);
 
       if (response.ok) {
         const data = await response.json();
         return { 
           hasRank: true,
-          rankData: data.rank_data || null
+          rankData: this.normalizeRankData(data.rank_data)
         };
       } else {
         return { 
@@ -610,7 +1245,7 @@ class EloWardTwitchBot {
         };
       }
     } catch (error) {
-      console.warn(`Rank fetch error for ${userLogin} - failing open (allowing message):`, error.message);
+      this.log('warn', 'Rank fetch error - failing open', { user: userLogin, error: error.message });
       return { 
         hasRank: true, // Fail open on errors
         rankData: null
@@ -619,131 +1254,328 @@ class EloWardTwitchBot {
   }
 
 
+  // Check the rank's region and queue against channel requirements - FAIL-OPEN when the Worker omits them
+  meetsRankScope(rankData, config) {
+    const region = config.required_region;
+    const queue = config.required_queue;
+    if (region && region !== 'any' && rankData?.region && rankData.region !== region) return false;
+    if (queue && queue !== 'any' && rankData?.queue && rankData.queue !== queue) return false;
+    return true;
+  }
+
+  // Describe region/queue requirements for chat replies (e.g. " on EUW (Solo/Duo)")
+  formatRankScope(config, lang = 'en') {
+    const region = config?.required_region && config.required_region !== 'any'
+      ? this.t(lang, 'scope.region', { region: config.required_region.toUpperCase() }) : '';
+    const queue = config?.required_queue && config.required_queue !== 'any'
+      ? this.t(lang, 'scope.queue', { queue: EloWardTwitchBot.QUEUE_LABELS[config.required_queue] }) : '';
+    return `${region}${queue}`;
+  }
+
+  // Normalize the Worker's rank payload: queue ('solo' | 'flex'), region ('na', 'euw', ...) and peak_rank_tier/division
+  normalizeRankData(rankData) {
+    if (!rankData) return null;
+    const queueRaw = String(rankData.queue || rankData.queue_type || '').toUpperCase();
+    const queue = queueRaw.includes('SOLO') ? 'solo' : queueRaw.includes('FLEX') ? 'flex' : null;
+    const regionRaw = String(rankData.region || rankData.riot_region || rankData.platform || '').toUpperCase();
+    const region = EloWardTwitchBot.PLATFORM_REGIONS[regionRaw] ||
+      (EloWardTwitchBot.REGIONS.includes(regionRaw.toLowerCase()) ? regionRaw.toLowerCase() : null);
+    const peak = rankData.peak && typeof rankData.peak === 'object' ? rankData.peak : {};
+    const peakTier = rankData.peak_rank_tier || rankData.peak_tier || peak.rank_tier || peak.tier || null;
+    const peakDivision = rankData.peak_rank_division || rankData.peak_division || peak.rank_division || peak.division || null;
+    return { ...rankData, queue, region, peak_rank_tier: peakTier, peak_rank_division: peakDivision };
+  }
+
+  // Pick the tier/division to evaluate per the channel's rank_basis (current | peak | best_of).
+  // Falls back to the current rank whenever the payload carries no peak data.
+  resolveRankForBasis(rankData, config) {
+    const current = { tier: rankData?.rank_tier, division: rankData?.rank_division };
+    const peak = { tier: rankData?.peak_rank_tier, division: rankData?.peak_rank_division };
+    const basis = config?.rank_basis || 'current';
+
+    if (basis === 'current' || !peak.tier || this.getRankValue(peak.tier, peak.division) === -1) return current;
+    if (basis === 'peak') return peak;
+
+    // best_of: whichever is higher (an unranked/unknown current rank loses to any peak)
+    return this.getRankValue(peak.tier, peak.division) > this.getRankValue(current.tier, current.division) ? peak : current;
+  }
+
   // Enforcement logic based on config - FAIL-OPEN design
   shouldTimeoutUser(rankResult, config) {
-    if (!config.bot_enabled) return false;
+    return this.evaluateRank(rankResult, config).timeout;
+  }
+
+  // Same decision as shouldTimeoutUser, plus the rule that decided it (used by !eloward check and logs)
+  evaluateRank(rankResult, config) {
+    const decide = (timeout, rule) => ({ timeout, rule });
+
+    if (!config.bot_enabled) return decide(false, 'standby');
 
     const mode = config.enforcement_mode || 'has_rank';
+
+    // Region/queue requirements apply to every mode once the user has a rank
+    if (rankResult.hasRank && !this.meetsRankScope(rankResult.rankData, config)) return decide(true, 'wrong_region_or_queue');
     
     if (mode === 'has_rank') {
-      return !rankResult.hasRank; // Timeout if no rank badge
+      return rankResult.hasRank ? decide(false, 'has_rank') : decide(true, 'not_linked'); // Timeout if no rank badge
     }
     
     if (mode === 'min_rank') {
       // User must have a rank first
-      if (!rankResult.hasRank) return true;
+      if (!rankResult.hasRank) return decide(true, 'not_linked');
       
       // Check if minimum rank is configured
       if (!config.min_rank_tier) {
         // No minimum configured, treat as has_rank mode
-        return false;
+        return decide(false, 'no_min_rank_set');
       }
       
       // If we don't have rank data, fail open (allow)
-      if (!rankResult.rankData) return false;
+      if (!rankResult.rankData) return decide(false, 'rank_unknown');
       
-      // Compare user's rank against minimum
-      const userTier = rankResult.rankData.rank_tier;
-      const userDivision = rankResult.rankData.rank_division;
+      // Compare user's rank (current, peak or best of both) against minimum
+      const { tier: userTier, division: userDivision } = this.resolveRankForBasis(rankResult.rankData, config);
       
-      if (!userTier) return false; // Fail open if no tier data
+      if (!userTier) return decide(false, 'rank_unknown'); // Fail open if no tier data
       
-      return !this.meetsMinimumRank(
-        userTier,
-        userDivision,
-        config.min_rank_tier,
-        config.min_rank_division
-      );
+      return this.meetsMinimumRank(userTier, userDivision, config.min_rank_tier, config.min_rank_division)
+        ? decide(false, 'meets_min_rank')
+        : decide(true, 'below_min_rank');
+    }
+
+    if (mode === 'max_rank' || mode === 'rank_range') {
+      // User must have a rank first
+      if (!rankResult.hasRank) return decide(true, 'not_linked');
+
+      // If we don't have rank data or a tier, fail open (allow)
+      if (!rankResult.rankData) return decide(false, 'rank_unknown');
+      const { tier: userTier, division: userDivision } = this.resolveRankForBasis(rankResult.rankData, config);
+      if (!userTier) return decide(false, 'rank_unknown');
+
+      if (config.max_rank_tier &&
+          !this.meetsMaximumRank(userTier, userDivision, config.max_rank_tier, config.max_rank_division)) {
+        return decide(true, 'above_max_rank');
+      }
+      if (mode === 'rank_range' && config.min_rank_tier &&
+          !this.meetsMinimumRank(userTier, userDivision, config.min_rank_tier, config.min_rank_division)) {
+        return decide(true, 'below_min_rank');
+      }
+      return decide(false, mode === 'rank_range' ? 'within_rank_range' : 'meets_max_rank');
     }
     
-    return false; // Default: allow message
+    return decide(false, 'unknown_mode'); // Default: allow message
   }
 
-  // Execute timeout via Twitch Helix API (bot calls directly)  
-  async executeTimeout(channelLogin, userLogin, config, event) {
+  // Execute the channel's enforcement action (delete / timeout / delete_and_timeout) via Helix
+  async executeEnforcement(channelLogin, userLogin, config, event, rankData = null) {
+    const logFields = { channel: channelLogin, user: userLogin };
     try {
-      // Super admin safety: never timeout super admin
+      // Super admin safety: never act on super admin
       if (this.isSuperAdmin(userLogin)) {
-        console.log(`🛡️ Super admin skip: ${userLogin} can't be timed out.`);
+        this.log('info', 'Super admin skip', logFields);
         return;
       }
 
-      // Hard safety: never timeout streamer/mod/sub even if called by mistake
-      if (this.isUserEnforcementExempt(event, channelLogin)) {
-        console.log(`🛡️ Skipping timeout for privileged user (broadcaster/mod/sub): ${userLogin} in ${channelLogin}`);
+      // Hard safety: never act on streamer/mod or policy-exempt users even if called by mistake
+      if (this.isUserEnforcementExempt(event, channelLogin, config)) {
+        this.log('info', 'Skipping enforcement for privileged user', logFields);
         return;
       }
 
-      const duration = config.timeout_seconds || 30;
-      const reason = this.buildTimeoutReason(config, userLogin);
+      const messageId = event?.tags?.id;
+      let { remove, timeout } = this.resolveEnforcementAction(config, messageId);
+
+      // Strike ladder: escalate per offence (warn first, then longer timeouts); flat timeout without one
+      const step = this.recordStrike(channelLogin, userLogin, config);
+      const reason = step.action === 'warn'
+        ? this.buildWarningReason(config, userLogin, { rankData, channelLogin })
+        : this.buildTimeoutReason(config, userLogin, { seconds: step.seconds || null, rankData, channelLogin });
+      if (step.action === 'warn') {
+        timeout = false;
+        // A plain warning needs no Helix call at all
+        if (!remove) {
+          await this.sendStrikeWarning(channelLogin, userLogin, reason, step, event, this.getLanguage(config));
+          return;
+        }
+      }
 
-      // First, get user ID, broadcaster ID, and bot's own ID from Twitch API
-      const userInfo = await this.getTwitchUserInfo([userLogin, channelLogin, 'elowardbot']);
-      if (!userInfo || !userInfo[userLogin] || !userInfo[channelLogin] || !userInfo['elowardbot']) {
-        console.error(`❌ Failed to get user IDs for timeout: ${userLogin} in ${channelLogin}`);
+      // IDs come from the message's IRC tags; the login→ID cache (then Helix) is only a fallback
+      const userId = event?.tags?.['user-id'] || await this.getUserId(userLogin);
+      const broadcasterId = event?.tags?.['room-id'] || await this.getUserId(channelLogin);
+      const botUserId = this.botUserId || await this.resolveBotUserId();
+      if (!userId || !broadcasterId || !botUserId) {
+        this.log('error', 'Failed to get user IDs for enforcement', logFields);
         return;
       }
 
-      const userId = userInfo[userLogin].id;
-      const broadcasterId = userInfo[channelLogin].id;
-      const botUserId = userInfo['elowardbot'].id;
-
-      // Helix mod recheck (best-effort)
-      if (await this.isModeratorViaHelix(broadcasterId, userId)) {
-        console.log(`🛡️ Helix says user is a moderator; skipping timeout: ${userLogin}`);
+      // Helix mod recheck (best-effort) - only needed when the message carried no role tags
+      if (event?.tags?.mod === undefined && await this.isModeratorViaHelix(broadcasterId, userId)) {
+        this.log('info', 'Helix says user is a moderator; skipping enforcement', logFields);
         return;
       }
 
-      console.log(`🔍 Timeout attempt: ${userLogin}(${userId}) in ${channelLogin}(${broadcasterId}) for ${duration}s (bot: ${botUserId})`);
-
-      // Use bot's own token to timeout via Helix API with correct parameters
-      const response = await fetch(`https://api.twitch.tv/helix/moderation/bans?broadcaster_id=${broadcasterId}&moderator_id=${botUserId}`, {
-        method: 'POST', 
-        headers: {
-          'Authorization': `Bearer ${this.currentToken.replace('oauth:', '')}`,
-          'Client-Id': process.env.TWITCH_CLIENT_ID || 'your-client-id',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          data: {
-            user_id: userId,
-            duration: duration,
-            reason: reason
-          }
-        })
-      });
+      if (remove) {
+        const deleted = await this.deleteChatMessage(channelLogin, broadcasterId, botUserId, messageId);
+        // Missing scope (or any delete failure) on a delete-only channel falls back to a timeout
+        if (!deleted && !timeout && step.action !== 'warn') timeout = true;
+        remove = deleted;
+      }
 
-      if (response.ok) {
-        console.log(`🔨 Timeout executed: ${userLogin} in ${channelLogin} (${duration}s)`);
-      } else {
-        const errorData = await response.text();
-        console.warn(`⚠️ Timeout failed: ${userLogin} in ${channelLogin} (${response.status}): ${errorData}`);
+      if (step.action === 'warn') {
+        // The original message may be gone, so don't thread the warning onto it
+        await this.sendStrikeWarning(channelLogin, userLogin, reason, step, remove ? null : event, this.getLanguage(config));
+        return;
+      }
+
+      if (timeout) {
+        await this.timeoutUser(channelLogin, userLogin, { broadcasterId, botUserId, userId, seconds: step.seconds, reason, strike: step.strike });
       }
     } catch (error) {
-      console.warn(`⚠️ Timeout error for ${userLogin} in ${channelLogin}:`, error.message);
+      this.log('warn', 'Enforcement error', { ...logFields, error: error.message });
     }
   }
 
-  // Get Twitch user info for multiple users
-  async getTwitchUserInfo(userLogins) {
-    try {
-      const loginParams = userLogins.map(login => `login=${encodeURIComponent(login)}`).join('&');
-      const response = await fetch(`https://api.twitch.tv/helix/users?${loginParams}`, {
-        headers: {
-          'Authorization': `Bearer ${this.currentToken.replace('oauth:', '')}`,
-          'Client-Id': process.env.TWITCH_CLIENT_ID || 'your-client-id'
-        }
-      });
+  // Which Helix calls the configured action needs; delete falls back to timeout without a message id or scope
+  resolveEnforcementAction(config, messageId) {
+    const action = this.enforcementActions.includes(config?.enforcement_action) ? config.enforcement_action : 'timeout';
+    const canDelete = !!messageId && !this.missingScopes.has('moderator:manage:chat_messages');
+    const wantsDelete = action === 'delete' || action === 'delete_and_timeout';
+    return {
+      remove: wantsDelete && canDelete,
+      timeout: action !== 'delete' || !canDelete
+    };
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  // Delete one chat message (DELETE /moderation/chat); returns true on success
+  async deleteChatMessage(channelLogin, broadcasterId, botUserId, messageId) {
+    const response = await this.helixRequest('moderation/chat', {
+      method: 'DELETE',
+      query: { broadcaster_id: broadcasterId, moderator_id: botUserId, message_id: messageId }
+    });
+
+    if (response.ok) {
+      this.log('info', 'Message deleted', { channel: channelLogin, message_id: messageId });
+      return true;
+    }
+
+    // Token was granted without moderator:manage:chat_messages - stop trying until the token changes
+    if ((response.status === 401 || response.status === 403) && /scope/i.test(response.text || '')) {
+      this.missingScopes.add('moderator:manage:chat_messages');
+      this.log('warn', 'Missing moderator:manage:chat_messages scope - falling back to timeouts', { channel: channelLogin });
+    } else {
+      this.log('warn', 'Message delete failed', { channel: channelLogin, status: response.status, error: response.text });
+    }
+    return false;
+  }
+
+  // Time out a user (POST /moderation/bans with a duration)
+  async timeoutUser(channelLogin, userLogin, { broadcasterId, botUserId, userId, seconds, reason, strike }) {
+    this.log('debug', 'Timeout attempt', { channel: channelLogin, user: userLogin, user_id: userId, broadcaster_id: broadcasterId, seconds, strike });
+
+    // Use bot's own token to timeout via Helix API with correct parameters
+    const response = await this.helixRequest('moderation/bans', {
+      method: 'POST',
+      query: { broadcaster_id: broadcasterId, moderator_id: botUserId },
+      body: {
+        data: {
+          user_id: userId,
+          duration: seconds,
+          reason: reason
+        }
+      }
+    });
+
+    if (response.ok) {
+      this.log('info', 'Timeout executed', { channel: channelLogin, user: userLogin, seconds });
+    } else {
+      this.log('warn', 'Timeout failed', { channel: channelLogin, user: userLogin, status: response.status, error: response.text });
+    }
+    return response.ok;
+  }
+
+  // ---- Strike ladder ----
+
+  // Ladder config is a comma-separated list of steps: 'warn' or a timeout in seconds (e.g. "warn,30,600")
+  parseStrikeLadder(value) {
+    if (!value) return null;
+    const raw = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    const steps = [];
+    for (const token of raw.map(t => String(t).trim().toLowerCase()).filter(Boolean)) {
+      if (token === 'warn') {
+        steps.push('warn');
+      } else if (/^\d+$/.test(token) && parseInt(token, 10) >= 1 && parseInt(token, 10) <= 1209600) {
+        steps.push(parseInt(token, 10));
+      } else {
+        return null;
+      }
+    }
+    return steps.length ? steps : null;
+  }
+
+  formatStrikeLadder(steps, lang = 'en') {
+    return steps.map(s => (s === 'warn' ? this.t(lang, 'ladder.warn') : `${s}s`)).join(' → ');
+  }
+
+  // Current strike count after decay: one strike falls off per decay period without offences
+  getStrikeCount(channelLogin, userLogin, config) {
+    const key = `${channelLogin}:${String(userLogin).toLowerCase()}`;
+    const entry = this.strikes.get(key);
+    if (!entry) return 0;
+    const decayMs = (config?.strike_decay_minutes || this.defaultStrikeDecayMinutes) * 60000;
+    const decayed = Math.floor((Date.now() - entry.lastStrikeAt) / decayMs);
+    return Math.max(0, entry.count - decayed);
+  }
+
+  // Add a strike and return the ladder step it lands on ({strike, action, seconds})
+  recordStrike(channelLogin, userLogin, config) {
+    const flatSeconds = config.timeout_seconds || 30;
+    const ladder = this.parseStrikeLadder(config.strike_ladder);
+    if (!ladder) return { strike: 1, action: 'timeout', seconds: flatSeconds };
+
+    const key = `${channelLogin}:${String(userLogin).toLowerCase()}`;
+    const count = this.getStrikeCount(channelLogin, userLogin, config) + 1;
+    this.strikes.set(key, { count, lastStrikeAt: Date.now() });
+
+    // Past the end of the ladder the last step repeats
+    const step = ladder[Math.min(count, ladder.length) - 1];
+    return step === 'warn'
+      ? { strike: count, action: 'warn', seconds: 0, total: ladder.length }
+      : { strike: count, action: 'timeout', seconds: step, total: ladder.length };
+  }
+
+  // Threaded reply to the offending message instead of a timeout
+  async sendStrikeWarning(channelLogin, userLogin, reason, step, event, lang = 'en') {
+    const parentId = event?.tags?.id;
+    const tags = parentId ? { 'reply-parent-msg-id': parentId } : null;
+    await this.sendChatMessage(channelLogin, this.t(lang, 'strike.warning', { user: userLogin, strike: step.strike, total: step.total, reason }), { tags });
+    this.log('info', 'Strike warning sent', { channel: channelLogin, user: userLogin, strike: step.strike });
+  }
+
+  // Drop strike entries that have fully decayed
+  pruneStrikes() {
+    for (const [key, entry] of this.strikes) {
+      const channelLogin = key.slice(0, key.indexOf(':'));
+      const decayMinutes = this.getCachedConfig(channelLogin)?.strike_decay_minutes || this.defaultStrikeDecayMinutes;
+      if (Date.now() - entry.lastStrikeAt >= entry.count * decayMinutes * 60000) {
+        this.strikes.delete(key);
+      }
+    }
+  }
+
+  // Get Twitch user info for multiple users
+  async getTwitchUserInfo(userLogins) {
+    try {
+      const response = await this.helixRequest('users', { query: { login: userLogins } });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.text}`);
       }
 
-      const data = await response.json();
       const userMap = {};
       
-      for (const user of data.data || []) {
+      for (const user of response.data?.data || []) {
         userMap[user.login.toLowerCase()] = user;
+        this.rememberUserId(user.login, user.id);
       }
 
       return userMap;
@@ -753,31 +1585,243 @@ class EloWardTwitchBot {
     }
   }
 
+  // Remember a login→ID pair, evicting the oldest entries beyond the cache bound
+  rememberUserId(login, id) {
+    if (!login || !id) return;
+    const key = String(login).toLowerCase();
+    this.userIdCache.delete(key); // re-insert so recently seen users are evicted last
+    this.userIdCache.set(key, String(id));
+    while (this.userIdCache.size > this.maxUserIdCacheSize) {
+      this.userIdCache.delete(this.userIdCache.keys().next().value);
+    }
+  }
+
+  // Look up a Twitch user ID: cache first, Helix on miss
+  async getUserId(login) {
+    const key = String(login || '').toLowerCase();
+    if (!key) return null;
+    if (this.userIdCache.has(key)) return this.userIdCache.get(key);
+
+    const userInfo = await this.getTwitchUserInfo([key]);
+    const id = userInfo?.[key]?.id || null;
+    this.rememberUserId(key, id);
+    return id;
+  }
+
+  // Resolve the bot's own user ID once (token payload when available, Helix otherwise)
+  async resolveBotUserId(tokenData = null) {
+    if (tokenData?.user?.id) {
+      this.botUserId = String(tokenData.user.id);
+    } else if (!this.botUserId) {
+      this.botUserId = await this.getUserId('elowardbot');
+    }
+    if (this.botUserId) {
+      this.rememberUserId('elowardbot', this.botUserId);
+      console.log(`🆔 Bot user ID resolved: ${this.botUserId}`);
+    } else {
+      console.warn('⚠️ Could not resolve bot user ID - will retry on first timeout');
+    }
+    return this.botUserId;
+  }
+
+  // ---- Helix API client (every Twitch API call goes through here) ----
+
+  getHelixStats(endpoint) {
+    if (!this.helixStats.has(endpoint)) {
+      this.helixStats.set(endpoint, { requests: 0, ok: 0, errors: 0, rateLimited: 0, retries: 0, authFailures: 0 });
+    }
+    return this.helixStats.get(endpoint);
+  }
+
+  // Track the token's Helix rate bucket from response headers
+  updateHelixRateLimit(headers) {
+    const limit = parseInt(headers.get('ratelimit-limit'), 10);
+    const remaining = parseInt(headers.get('ratelimit-remaining'), 10);
+    const reset = parseInt(headers.get('ratelimit-reset'), 10);
+    if (!isNaN(limit)) this.helixRateLimit.limit = limit;
+    if (!isNaN(remaining)) this.helixRateLimit.remaining = remaining;
+    if (!isNaN(reset)) this.helixRateLimit.resetAt = reset * 1000;
+  }
+
+  // Exponential backoff + jitter (README: on 429 use exponential backoff + jitter)
+  getHelixBackoff(attempt) {
+    const base = Math.min(500 * Math.pow(2, attempt), 8000);
+    return base + Math.floor(Math.random() * base / 2);
+  }
+
+  // Re-sync the token from the Worker after a 401; concurrent callers share one request
+  async resyncTokenAfterAuthFailure() {
+    if (!this.tokenResync) {
+      console.warn('🔑 Helix returned 401 - re-syncing token from Worker');
+      this.tokenResync = this.refreshToken().finally(() => { this.tokenResync = null; });
+    }
+    return this.tokenResync;
+  }
+
+  // Helix request with rate-bucket awareness, retries on 429/5xx and one token re-sync on 401.
+  // Resolves to {ok, status, data, text}; network failures after retries reject.
+  async helixRequest(endpoint, { method = 'GET', query = null, body = null } = {}) {
+    const stats = this.getHelixStats(endpoint);
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      for (const v of [].concat(value)) params.append(key, v);
+    }
+    const url = `${this.HELIX_URL}/${endpoint}${params.toString() ? `?${params}` : ''}`;
+
+    let authRetried = false;
+    for (let attempt = 0; ; attempt++) {
+      // Bucket exhausted: wait for the reset instead of burning a request on a 429
+      const { remaining, resetAt } = this.helixRateLimit;
+      if (remaining !== null && remaining <= 0 && resetAt > Date.now()) {
+        await new Promise(r => setTimeout(r, Math.min(resetAt - Date.now(), 10000) + Math.floor(Math.random() * 250)));
+      }
 
-  // Send message to chat channel on the correct connection
-  async sendChatMessage(channelLogin, message) {
+      stats.requests++;
+      const started = Date.now();
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${this.currentToken.replace('oauth:', '')}`,
+            'Client-Id': process.env.TWITCH_CLIENT_ID || 'your-client-id',
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+          },
+          body: body ? JSON.stringify(body) : undefined
+        });
+      } catch (error) {
+        if (attempt < this.helixMaxRetries) {
+          stats.retries++;
+          await new Promise(r => setTimeout(r, this.getHelixBackoff(attempt)));
+          continue;
+        }
+        stats.errors++;
+        throw error;
+      }
+
+      this.updateHelixRateLimit(response.headers);
+      this.observeHistogram('eloward_helix_request_ms', Date.now() - started, { endpoint });
+
+      // A 401 naming a missing scope won't be fixed by a fresh token - hand it back so the caller can react
+      let text = null;
+      if (response.status === 401 && !authRetried) {
+        text = await response.text();
+        if (!/scope/i.test(text)) {
+          stats.authFailures++;
+          authRetried = true;
+          await this.resyncTokenAfterAuthFailure();
+          continue;
+        }
+      }
+
+      if ((response.status === 429 || response.status >= 500) && attempt < this.helixMaxRetries) {
+        stats.retries++;
+        let wait = this.getHelixBackoff(attempt);
+        if (response.status === 429) {
+          stats.rateLimited++;
+          const untilReset = this.helixRateLimit.resetAt - Date.now();
+          if (untilReset > 0) wait = Math.min(untilReset, 10000) + Math.floor(Math.random() * 250);
+        }
+        this.log('warn', 'Helix retry', { endpoint, status: response.status, attempt: attempt + 1, wait_ms: wait });
+        await new Promise(r => setTimeout(r, wait));
+        continue;
+      }
+
+      if (text === null) text = await response.text();
+      let data = null;
+      try { data = text ? JSON.parse(text) : null; } catch (_) {}
+
+      if (response.ok) stats.ok++;
+      else stats.errors++;
+
+      return { ok: response.ok, status: response.status, data, text };
+    }
+  }
+
+  // Queue a chat message on the connection that owns the channel.
+  // priority: 'high' (mod command confirmations), 'normal', 'low' (public replies, dropped when stale)
+  async sendChatMessage(channelLogin, message, { priority = 'normal', tags = null } = {}) {
     try {
-      const entry = this.channels.get(channelLogin);
-      const client = this.getClientForChannel(channelLogin);
-      
-      // Safety: if we somehow aren't joined anywhere, join on the chosen owner
-      const joinedSomewhere = this.joined.primary.has(channelLogin) || this.joined.secondary.has(channelLogin);
+      message = this.truncateText(message, this.maxChatMessageLength);
+
+      // Safety: if we somehow aren't joined anywhere, join on the owning (or newly assigned) shard
+      const joinedSomewhere = [...this.joined.values()].some(set => set.has(channelLogin));
+      const conn = this.assignChannel(channelLogin);
       if (!joinedSomewhere) {
-        console.warn(`⚠️ Not joined to #${channelLogin}, joining on primary...`);
-        if (entry?.secondary) {
-          this.secondaryBot.join(`#${channelLogin}`);
-        } else {
-          this.primaryBot.join(`#${channelLogin}`);
-          if (!entry) this.channels.set(channelLogin, { primary:true, secondary:false });
-        }
-        await new Promise(r => setTimeout(r, 300)); // Brief delay for join
+        this.log('warn', 'Not joined to channel, queueing JOIN', { channel: channelLogin, connection: conn.id });
+        this.enqueueJoin(channelLogin);
       }
-      
-      client.say(`#${channelLogin}`, message);
-      const connLabel = (entry?.primary && 'primary') || (entry?.secondary && 'secondary') || 'unknown';
-      console.log(`💬 [${connLabel}] Sent to #${channelLogin}: ${message}`);
+
+      // Collapse identical pending replies for the same channel, keeping the higher priority
+      const pending = conn.chatQueue.find(m => m.channel === channelLogin && m.message === message && !m.tags);
+      if (pending && !tags) {
+        if (this.chatPriorityOrder[priority] < this.chatPriorityOrder[pending.priority]) pending.priority = priority;
+        this.log('debug', 'Collapsed duplicate reply', { channel: channelLogin, connection: conn.id });
+        return;
+      }
+
+      conn.chatQueue.push({ channel: channelLogin, message, priority, tags, enqueuedAt: Date.now() });
+      this.scheduleChatDrain(0);
     } catch (error) {
-      console.error(`❌ Failed to send message to #${channelLogin}:`, error.message);
+      this.log('error', 'Failed to queue message', { channel: channelLogin, error: error.message });
+    }
+  }
+
+  scheduleChatDrain(delay) {
+    if (this.chatDrainTimer) return;
+    this.chatDrainTimer = setTimeout(() => {
+      this.chatDrainTimer = null;
+      this.drainChatQueues();
+    }, delay);
+  }
+
+  getChatBudget(channelLogin) {
+    return this.moddedChannels.has(channelLogin) ? this.chatRateLimitModded : this.chatRateLimit;
+  }
+
+  // Send queued messages in priority order while the Twitch budget allows
+  drainChatQueues() {
+    const now = Date.now();
+    this.chatSentAt = this.chatSentAt.filter(t => now - t < this.chatWindowMs);
+
+    let waiting = false;
+    for (const conn of this.connections.values()) {
+      // Drop stale replies first so they never consume budget
+      conn.chatQueue = conn.chatQueue.filter(m => {
+        const fresh = now - m.enqueuedAt < this.chatMaxAgeMs[m.priority];
+        if (!fresh) this.log('info', 'Dropped stale reply', { channel: m.channel, connection: conn.id, priority: m.priority });
+        return fresh;
+      });
+      if (!conn.chatQueue.length) continue;
+      if (!conn.registered) { waiting = true; continue; }
+
+      conn.chatQueue.sort((a, b) =>
+        (this.chatPriorityOrder[a.priority] - this.chatPriorityOrder[b.priority]) || (a.enqueuedAt - b.enqueuedAt));
+
+      const remaining = [];
+      for (const m of conn.chatQueue) {
+        // Hold messages until the channel's JOIN has gone out
+        const joinPending = conn.joinQueue.has(m.channel);
+        if (joinPending || this.chatSentAt.length >= this.getChatBudget(m.channel)) {
+          remaining.push(m);
+          continue;
+        }
+        try {
+          conn.client.say(`#${m.channel}`, m.message, m.tags || undefined);
+          this.chatSentAt.push(now);
+          this.log('info', 'Sent chat message', { channel: m.channel, connection: conn.id, priority: m.priority, message: m.message });
+        } catch (error) {
+          this.log('error', 'Failed to send chat message', { channel: m.channel, connection: conn.id, error: error.message });
+        }
+      }
+      conn.chatQueue = remaining;
+      if (remaining.length) waiting = true;
+    }
+
+    if (waiting) {
+      // Retry when the oldest send leaves the window (or shortly, for held messages)
+      const untilFree = this.chatSentAt.length ? this.chatWindowMs - (now - this.chatSentAt[0]) : 0;
+      this.scheduleChatDrain(Math.max(250, Math.min(untilFree, 1000)));
     }
   }
 
@@ -790,37 +1834,64 @@ class EloWardTwitchBot {
     return divisionMap[division.toUpperCase()] || division.toUpperCase();
   }
 
-  // Build timeout reason that auto-adapts to enforcement mode
-  buildTimeoutReason(config, userLogin) {
+  // Build timeout reason that auto-adapts to enforcement mode.
+  // seconds: the ladder step's duration (flat timeout_seconds otherwise); rankData: the offender's rank for {user_rank}
+  buildTimeoutReason(config, userLogin, { seconds = null, rankData = null, channelLogin = '' } = {}) {
     const mode = (config?.enforcement_mode || 'has_rank').toLowerCase();
-    const duration = config?.timeout_seconds || 30;
 
-    // Pick per-mode template from database (no fallbacks - database should always have values)
-    const hasRankTpl = config?.reason_has_rank;
-    const minRankTpl = config?.reason_min_rank;
-    const template = mode === 'min_rank' ? minRankTpl : hasRankTpl;
+    // Pick per-mode template from database (no fallbacks - database should always have values).
+    // max_rank/rank_range are newer than the seeded columns, so they fall back to the catalog defaults.
+    const lang = this.getLanguage(config);
+    const template = mode === 'min_rank' ? config?.reason_min_rank
+      : mode === 'max_rank' ? (config?.reason_max_rank || this.t(lang, 'reason.default.max_rank'))
+      : mode === 'rank_range' ? (config?.reason_rank_range || this.t(lang, 'reason.default.rank_range'))
+      : config?.reason_has_rank;
 
     // If no template found, this is a configuration error
     if (!template) {
       console.error(`❌ No timeout template found for mode ${mode} in config:`, config);
-      return 'Configuration error - please contact the streamer';
+      return this.t(lang, 'reason.config_error');
     }
 
-    const minTier = (config?.min_rank_tier || '').toUpperCase();
+    // Older saved reasons use [tier]-style tokens; treat them as the {tier} equivalent
+    const normalized = template.replace(/\[(\w+)\]/g, (match, name) => (EloWardTwitchBot.REASON_VARIABLES.includes(name) ? `{${name}}` : match));
+    const vars = this.getReasonVariables(config, userLogin, { seconds, rankData, channelLogin });
+    return this.renderTemplate(normalized, vars, this.maxReasonLength);
+  }
+
+  // Warning-step reason: the channel's rule without any timeout wording (saved reasons mention the timeout, so use the catalog)
+  buildWarningReason(config, userLogin, { rankData = null, channelLogin = '' } = {}) {
+    const mode = (config?.enforcement_mode || 'has_rank').toLowerCase();
+    const key = ['min_rank', 'max_rank', 'rank_range'].includes(mode) ? mode : 'has_rank';
+    const vars = this.getReasonVariables(config, userLogin, { rankData, channelLogin });
+    return this.truncateText(this.t(this.getLanguage(config), `reason.warning.${key}`, vars), this.maxReasonLength);
+  }
+
+  // Values for the documented reason variables (EloWardTwitchBot.REASON_VARIABLES) and Master+ flags.
+  // {division}/{max_division} carry their leading space and are empty for Master+, so "{tier}{division}" reads right.
+  getReasonVariables(config, userLogin, { seconds = null, rankData = null, channelLogin = '' } = {}) {
     const noDivTiers = new Set(['MASTER', 'GRANDMASTER', 'CHALLENGER']);
-    const div = (config?.min_rank_division || '').toUpperCase();
-    const divisionText = (minTier && !noDivTiers.has(minTier) && div) ? ` ${div}` : '';
+    const divisionText = (tier, division) => (tier && !noDivTiers.has(tier) && division) ? ` ${division}` : '';
 
-    return template
-      .replace('{seconds}', String(duration))
-      .replace('{site}', 'https://eloward.com')
-      .replace('{user}', userLogin)
-      // support both {} and [] tokens for tier/division
-      .replace('{tier}', minTier)
-      .replace('{division}', divisionText)
-      .replace('[tier]', minTier)
-      .replace('[division]', divisionText)
-    ;
+    const minTier = (config?.min_rank_tier || '').toUpperCase();
+    const maxTier = (config?.max_rank_tier || '').toUpperCase();
+    const userRank = rankData ? this.resolveRankForBasis(rankData, config) : {};
+    const userTier = (userRank.tier || '').toUpperCase();
+
+    return {
+      user: userLogin,
+      channel: channelLogin,
+      seconds: String(seconds ?? config?.timeout_seconds ?? 30),
+      site: 'https://eloward.com',
+      tier: minTier,
+      division: divisionText(minTier, (config?.min_rank_division || '').toUpperCase()),
+      max_tier: maxTier,
+      max_division: divisionText(maxTier, (config?.max_rank_division || '').toUpperCase()),
+      user_rank: userTier ? this.formatRank(userTier, userRank.division) : '',
+      master: noDivTiers.has(minTier),
+      max_master: noDivTiers.has(maxTier),
+      user_master: noDivTiers.has(userTier)
+    };
   }
 
   // ---- Role helpers (robust + fast) ----
@@ -856,28 +1927,78 @@ class EloWardTwitchBot {
       event?.tags?.['user-type'] === 'mod';
 
     // Check subscriber status (including founders)
+    const isFounder = [...badges].some(b => b.startsWith('founder/'));
     const isSubscriber =
       [...badges].some(b => b.startsWith('subscriber/')) ||
-      [...badges].some(b => b.startsWith('founder/')) ||
+      isFounder ||
       event?.tags?.subscriber === '1' ||
       event?.tags?.subscriber === 1;
 
+    // Sub tier from the subscriber badge version: 2xxx = Tier 2, 3xxx = Tier 3, anything else Tier 1
+    const subBadge = [...badges].find(b => b.startsWith('subscriber/'));
+    const badgeVersion = parseInt(subBadge?.split('/')[1], 10) || 0;
+    const subTier = isSubscriber ? Math.min(3, Math.max(1, Math.floor(badgeVersion / 1000))) : 0;
+
     // Check VIP status
     const isVip = 
       [...badges].some(b => b.startsWith('vip/')) ||
       event?.tags?.vip === '1' ||
       event?.tags?.vip === 1;
 
-    return { isBroadcaster, isModerator, isSubscriber, isVip };
+    return { isBroadcaster, isModerator, isSubscriber, isFounder, subTier, isVip };
   }
 
-  // Enforcement exemptions: ALWAYS ignore streamer, mods, subs, super admins (config-independent)
-  isUserEnforcementExempt(event, channelLogin) {
+  // Resolve the channel's exemption policy; defaults keep the original behaviour (subs + founders, no VIPs).
+  // D1 stores the flags as 0/1, so go by truthiness; unset (null/undefined) means the default.
+  getExemptPolicy(config) {
+    const tier = parseInt(config?.exempt_min_sub_tier, 10);
+    return {
+      subs: config?.exempt_subs == null || !!config.exempt_subs,
+      vips: !!config?.exempt_vips,
+      founders: config?.exempt_founders == null || !!config.exempt_founders,
+      minSubTier: tier >= 1 && tier <= 3 ? tier : 1,
+      users: this.parseExemptUsers(config?.exempt_users)
+    };
+  }
+
+  // Allowlist is stored as a comma-separated string of logins (arrays accepted too)
+  parseExemptUsers(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(u => String(u).trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+  }
+
+  // Enforcement exemptions: ALWAYS ignore streamer, mods, super admins; subs/VIPs/founders/allowlist per channel policy
+  isUserEnforcementExempt(event, channelLogin, config) {
+    return this.getExemptReason(event, channelLogin, config) !== null;
+  }
+
+  // Which exemption applies ('super_admin', 'broadcaster', 'mod', 'allowlist', 'vip', 'founder', 'sub') or null
+  getExemptReason(event, channelLogin, config) {
     const nick = (event?.nick || '').toLowerCase();
-    if (this.isSuperAdmin(nick)) return true; // Super admin: always exempt
+    if (this.isSuperAdmin(nick)) return 'super_admin'; // Super admin: always exempt
+
+    const { isBroadcaster, isModerator, isSubscriber, isFounder, subTier, isVip } = this.getUserRoles(event, channelLogin);
+    if (isBroadcaster) return 'broadcaster';
+    if (isModerator) return 'mod';
 
-    const { isBroadcaster, isModerator, isSubscriber } = this.getUserRoles(event, channelLogin);
-    return isBroadcaster || isModerator || isSubscriber;
+    const policy = this.getExemptPolicy(config);
+    if (policy.users.includes(nick)) return 'allowlist';
+    if (policy.vips && isVip) return 'vip';
+    if (isFounder) return policy.founders ? 'founder' : null;
+    return policy.subs && isSubscriber && subTier >= policy.minSubTier ? 'sub' : null;
+  }
+
+  // Describe the exemption policy for !eloward status (e.g. "subs T2+, founders, VIPs, 3 users")
+  formatExemptPolicy(config, lang = 'en') {
+    const policy = this.getExemptPolicy(config);
+    const parts = [];
+    if (policy.subs) parts.push(policy.minSubTier > 1 ? this.t(lang, 'exempt.policy.subs_tier', { tier: policy.minSubTier }) : this.t(lang, 'exempt.policy.subs'));
+    if (policy.founders) parts.push(this.t(lang, 'exempt.policy.founders'));
+    if (policy.vips) parts.push(this.t(lang, 'exempt.policy.vips'));
+    if (policy.users.length) {
+      parts.push(this.t(lang, policy.users.length === 1 ? 'exempt.policy.users_one' : 'exempt.policy.users_other', { count: policy.users.length }));
+    }
+    return parts.length ? parts.join(', ') : this.t(lang, 'exempt.policy.none');
   }
 
   // Command privilege: broadcaster, moderator, or super admin
@@ -892,16 +2013,11 @@ class EloWardTwitchBot {
   // Best-effort moderator recheck via Helix (optional extra safety)
   async isModeratorViaHelix(broadcasterId, userId) {
     try {
-      const url = `https://api.twitch.tv/helix/moderation/moderators?broadcaster_id=${broadcasterId}&user_id=${userId}`;
-      const resp = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${this.currentToken.replace('oauth:', '')}`,
-          'Client-Id': process.env.TWITCH_CLIENT_ID || 'your-client-id'
-        }
+      const resp = await this.helixRequest('moderation/moderators', {
+        query: { broadcaster_id: broadcasterId, user_id: userId }
       });
       if (!resp.ok) return false;
-      const data = await resp.json();
-      return Array.isArray(data.data) && data.data.length > 0;
+      return Array.isArray(resp.data?.data) && resp.data.data.length > 0;
     } catch (_) {
       return false; // fail-open here so we don't block enforcement on API hiccups
     }
@@ -917,264 +2033,1029 @@ class EloWardTwitchBot {
     return config;
   }
 
-  // Chat command processing (!eloward commands)
-  async handleChatCommand(channelLogin, userLogin, message, event) {
-    try {
-      const parts = message.split(' ');
-      const command = parts[1]?.toLowerCase();
-      const isPrivileged = this.isUserCommandPrivileged(event, channelLogin);
-      
-      // Handle base !eloward command (anyone can use)
-      if (!command || command === '') {
-        return this.handleStatusCommand(channelLogin, userLogin, isPrivileged);
-      }
+  // Load locales/<lang>.json for every supported language; a missing or broken file just falls back to English
+  loadMessageCatalog() {
+    const messages = {};
+    for (const lang of EloWardTwitchBot.LANGUAGES) {
+      try {
+        messages[lang] = JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${lang}.json`), 'utf8'));
+      } catch (error) {
+        console.error(`❌ Failed to load ${lang} message catalog:`, error.message);
+        messages[lang] = {};
+      }
+    }
+    return messages;
+  }
+
+  // Channel language from config (en when unset or unsupported)
+  getLanguage(config) {
+    const lang = String(config?.language || '').toLowerCase();
+    return EloWardTwitchBot.LANGUAGES.includes(lang) ? lang : 'en';
+  }
+
+  // Look up a catalog message and render it with renderTemplate; falls back to English, then to `fallback`
+  t(lang, key, vars = {}, fallback = key) {
+    const template = this.messages[lang]?.[key] ?? this.messages.en?.[key] ?? fallback;
+    return this.renderTemplate(template, vars);
+  }
+
+  // Template engine for timeout reasons and catalog replies:
+  //   {name}             every occurrence is replaced; unknown names are left as-is
+  //   {#name}...{/name}  kept when `name` is truthy (e.g. {#master}...{/master} for Master+ tiers)
+  //   {^name}...{/name}  kept when `name` is falsy or empty
+  // The result is cut to maxLength characters (code-point safe) when one is given.
+  renderTemplate(template, vars = {}, maxLength = null) {
+    const sections = String(template ?? '').replace(/\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g, (match, kind, name, body) => {
+      const value = vars[name];
+      const truthy = value !== undefined && value !== null && value !== false && value !== '';
+      return truthy === (kind === '#') ? body : '';
+    });
+    // A section can wrap another one with a different name - keep going until nothing changes
+    if (sections !== String(template ?? '') && /\{[#^]\w+\}/.test(sections)) {
+      return this.renderTemplate(sections, vars, maxLength);
+    }
+
+    const text = sections.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name] ?? '') : match));
+    return maxLength ? this.truncateText(text, maxLength) : text;
+  }
+
+  // Cut text to maxLength characters without splitting emoji/surrogate pairs, marking the cut with an ellipsis
+  truncateText(text, maxLength) {
+    const chars = Array.from(String(text));
+    if (chars.length <= maxLength) return String(text);
+    return chars.slice(0, maxLength - 1).join('').trimEnd() + '…';
+  }
+
+  // Check a user-supplied template against the allowed variable names.
+  // Returns null when it is fine, otherwise {error: 'unknown' | 'unbalanced', token, name}.
+  validateTemplate(template, allowed) {
+    const open = [];
+    for (const [token, inner] of String(template).matchAll(/\{([^{}]*)\}/g)) {
+      const match = inner.match(/^([#^/]?)(\w+)$/);
+      if (!match || !allowed.includes(match[2])) return { error: 'unknown', token, name: match?.[2] || '' };
+      const [, kind, name] = match;
+      if (kind === '#' || kind === '^') {
+        open.push(token);
+      } else if (kind === '/' && open.pop()?.slice(2, -1) !== name) {
+        return { error: 'unbalanced', token, name };
+      }
+    }
+    const unclosed = open.pop();
+    return unclosed ? { error: 'unbalanced', token: unclosed, name: unclosed.slice(2, -1) } : null;
+  }
+
+  // Chat command processing (!eloward commands) - parsing, permissions and validation come from EloWardTwitchBot.COMMANDS
+  async handleChatCommand(channelLogin, userLogin, message, event) {
+    let lang = 'en';
+    try {
+      const tokens = message.split(' ').filter(Boolean).slice(1);
+      const isPrivileged = this.isUserCommandPrivileged(event, channelLogin);
+      const config = await this.getCurrentConfig(channelLogin);
+      lang = this.getLanguage(config);
+      
+      // Handle base !eloward command (anyone can use)
+      if (tokens.length === 0) {
+        if (!isPrivileged && !this.checkPublicCooldown(channelLogin, userLogin, config, 'status')) return;
+        return this.handleStatusCommand(channelLogin, userLogin, isPrivileged);
+      }
+
+      // Viewers poking at mod commands (or typos) share one cooldown, so a raid can't turn them into a reply flood
+      const { entry, path, rest } = this.resolveCommand(tokens);
+      if (!entry && !isPrivileged) {
+        if (!this.checkPublicCooldown(channelLogin, userLogin, config, 'denied')) return;
+        await this.sendChatMessage(channelLogin, this.t(lang, 'command.no_permission'));
+        return;
+      }
+      if (!entry) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'command.unknown'), { priority: 'high' });
+        console.log(`❓ Unknown command from ${userLogin} in ${channelLogin}: ${message}`);
+        return;
+      }
+
+      if (!this.hasCommandPermission(entry.permission, event, channelLogin)) {
+        if (!isPrivileged && !this.checkPublicCooldown(channelLogin, userLogin, config, 'denied')) return;
+        await this.sendChatMessage(channelLogin, this.t(lang, 'command.no_permission'));
+        return;
+      }
+
+      // Group without a matching subcommand (e.g. "!eloward set" or "!eloward set foo")
+      if (!entry.handler) {
+        const usage = this.formatCommandUsage(entry, path);
+        await this.sendChatMessage(channelLogin, rest[0]
+          ? this.t(lang, 'command.unknown_subcommand', { sub: rest[0], usage })
+          : this.t(lang, 'command.usage', { usage }), { priority: 'high' });
+        return;
+      }
+
+      // Public commands flagged `cooldown` are rate limited for non-mods (suppressed silently)
+      if (entry.cooldown && !isPrivileged &&
+          !this.checkPublicCooldown(channelLogin, userLogin, config, path.join(' '))) {
+        return;
+      }
+
+      const { args, error } = this.parseCommandArgs(entry, rest, lang);
+      if (error) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'command.invalid', { error, usage: this.formatCommandUsage(entry, path) }), { priority: 'high' });
+        return;
+      }
+
+      const ctx = { channelLogin, userLogin, event, isPrivileged, lang, command: path.join(' ') };
+      await this[entry.handler](ctx, args);
+    } catch (error) {
+      console.error(`❌ Chat command error from ${userLogin} in ${channelLogin}:`, error.message);
+      await this.sendChatMessage(channelLogin, this.t(lang, 'command.failed'), { priority: 'high' });
+    }
+  }
+
+  // Walk the registry: "set", "grace", "messages" -> deepest matching entry (case-insensitive, aliases included).
+  // Subcommands inherit their parent's permission unless they declare one.
+  resolveCommand(tokens, registry = EloWardTwitchBot.COMMANDS) {
+    let entries = registry;
+    let entry = null;
+    let permission = 'mod';
+    const path = [];
+    let i = 0;
+    while (entries && i < tokens.length) {
+      const token = tokens[i].toLowerCase();
+      const match = entries.find(c => c.name === token || (c.aliases || []).includes(token));
+      if (!match) break;
+      permission = match.permission || permission;
+      entry = { ...match, permission };
+      path.push(match.name);
+      entries = match.subcommands;
+      i++;
+    }
+    return { entry, path, rest: tokens.slice(i) };
+  }
+
+  hasCommandPermission(permission, event, channelLogin) {
+    const nick = (event?.nick || '').toLowerCase();
+    if (permission === 'anyone') return true;
+    if (this.isSuperAdmin(nick)) return true;
+    if (permission === 'super_admin') return false;
+    if (permission === 'broadcaster') return this.getUserRoles(event, channelLogin).isBroadcaster;
+    return this.isUserCommandPrivileged(event, channelLogin);
+  }
+
+  // Validate tokens against the entry's args schema; returns { args } or { error }
+  parseCommandArgs(entry, tokens, lang = 'en') {
+    const args = {};
+    const schema = entry.args || [];
+    let i = 0;
+
+    for (const spec of schema) {
+      if (spec.type === 'rest' || spec.type === 'words') {
+        const remaining = tokens.slice(i);
+        i = tokens.length;
+        if (spec.required && remaining.length === 0) return { error: this.t(lang, 'args.missing', { name: spec.name }) };
+        args[spec.name] = spec.type === 'rest' ? remaining.join(' ') : remaining;
+        continue;
+      }
+
+      const raw = tokens[i];
+      if (raw === undefined) {
+        if (spec.required) return { error: this.t(lang, 'args.missing', { name: spec.name }) };
+        continue;
+      }
+      i++;
+
+      const value = this.parseArgValue(spec, raw);
+      if (value === undefined) {
+        const described = this.describeArg(spec, lang);
+        const hint = described ? ` (${described})` : '';
+        return { error: this.t(lang, 'args.invalid', { name: spec.name, value: raw, hint }) };
+      }
+      args[spec.name] = value;
+    }
+
+    if (i < tokens.length) return { error: this.t(lang, 'args.unexpected', { value: tokens[i] }) };
+    return { args };
+  }
+
+  parseArgValue(spec, raw) {
+    const text = String(raw).trim();
+    switch (spec.type) {
+      case 'enum': {
+        const lower = text.toLowerCase();
+        const values = this.getArgValues(spec);
+        if (values.includes(lower)) return lower;
+        return spec.aliases?.[lower];
+      }
+      case 'int': {
+        if (!/^\d+$/.test(text)) return undefined;
+        const n = parseInt(text, 10);
+        if (spec.clamp) return Math.max(spec.min, Math.min(spec.max, n));
+        return n >= spec.min && n <= spec.max ? n : undefined;
+      }
+      case 'user': {
+        const login = text.toLowerCase().replace(/^@/, '');
+        return /^[a-z0-9_]{1,25}$/.test(login) ? login : undefined;
+      }
+      case 'duration':
+        return this.parseDuration(text) || undefined;
+      default:
+        return text;
+    }
+  }
+
+  // Enum values may be a list or a function of the bot instance (e.g. enforcementActions)
+  getArgValues(spec) {
+    return typeof spec.values === 'function' ? spec.values(this) : spec.values;
+  }
+
+  describeArg(spec, lang = 'en') {
+    if (spec.type === 'enum') return this.getArgValues(spec).join('|');
+    if (spec.type === 'int') return `${spec.min}-${spec.max}`;
+    if (spec.type === 'duration') return this.t(lang, 'args.duration_hint');
+    return '';
+  }
+
+  formatCommandUsage(entry, path) {
+    const base = `!eloward ${path.join(' ')}`;
+    if (entry.subcommands) return `${base} <${entry.subcommands.map(c => c.name).join('|')}>`;
+    const args = (entry.args || []).map(spec => {
+      // Short enums read better inline; long ones (tiers) just show the arg name
+      const values = spec.type === 'enum' ? this.getArgValues(spec) : null;
+      const label = values && values.length <= 6 ? values.join('|') : spec.name;
+      return spec.required ? `<${label}>` : `[${label}]`;
+    });
+    return [base, ...args].join(' ');
+  }
+
+  // !eloward on
+  async handleOnCommand({ channelLogin, userLogin, lang }) {
+    await this.updateChannelConfig(channelLogin, { bot_enabled: true, dry_run: false }, { actor: userLogin });
+    const onConfig = await this.getCurrentConfig(channelLogin);
+    await this.sendChatMessage(channelLogin, this.t(lang, 'on.enabled', { mode: onConfig?.enforcement_mode || 'has_rank' }), { priority: 'high' });
+    console.log(`🔵 ${userLogin} enabled bot in ${channelLogin}`);
+  }
+
+  // !eloward off
+  async handleOffCommand({ channelLogin, userLogin, lang }) {
+    await this.updateChannelConfig(channelLogin, { bot_enabled: false }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'off.disabled'), { priority: 'high' });
+    console.log(`🔴 ${userLogin} disabled bot in ${channelLogin}`);
+  }
+
+  // !eloward mode <mode> [tier] [division] - min_rank/max_rank accept the bound inline (e.g. "mode minrank gold 4")
+  async handleModeCommand(ctx, args) {
+    const { channelLogin, userLogin, lang } = ctx;
+    const mode = args.mode;
+
+    if (mode === 'shadow') {
+      // Shadow: run the full rank pipeline and record would-be timeouts without calling Helix
+      await this.updateChannelConfig(channelLogin, { bot_enabled: true, dry_run: true }, { actor: userLogin });
+      this.shadowStats.delete(channelLogin);
+      const config = await this.getCurrentConfig(channelLogin);
+      await this.sendChatMessage(channelLogin, this.t(lang, 'mode.shadow_on', { mode: config?.enforcement_mode || 'has_rank' }), { priority: 'high' });
+      console.log(`👻 ${userLogin} enabled shadow mode in ${channelLogin}`);
+      return;
+    }
+
+    if (args.tier) {
+      if (mode !== 'min_rank' && mode !== 'max_rank') {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'mode.rank_not_allowed'), { priority: 'high' });
+        return;
+      }
+      const bound = mode === 'min_rank' ? 'min' : 'max';
+      if (!await this.handleRankBoundCommand(ctx, { tier: args.tier, division: args.division }, bound)) return;
+    }
+
+    await this.updateChannelConfig(channelLogin, { enforcement_mode: mode }, { actor: userLogin });
+    const config = await this.getCurrentConfig(channelLogin);
+    const minRank = config?.min_rank_tier ? this.formatRank(config.min_rank_tier, config.min_rank_division, lang) : null;
+    const maxRank = config?.max_rank_tier ? this.formatRank(config.max_rank_tier, config.max_rank_division, lang) : null;
+    let detail;
+    if (mode === 'has_rank') {
+      detail = this.t(lang, 'mode.detail.has_rank');
+    } else if (mode === 'min_rank') {
+      detail = minRank ? this.t(lang, 'mode.detail.min_rank', { rank: minRank }) : this.t(lang, 'mode.detail.min_rank_unset');
+    } else if (mode === 'max_rank') {
+      detail = maxRank ? this.t(lang, 'mode.detail.max_rank', { rank: maxRank }) : this.t(lang, 'mode.detail.max_rank_unset');
+    } else {
+      detail = minRank && maxRank
+        ? this.t(lang, 'mode.detail.rank_range', { min: minRank, max: maxRank })
+        : this.t(lang, 'mode.detail.rank_range_unset');
+    }
+    await this.sendChatMessage(channelLogin, this.t(lang, 'mode.set', { mode, detail }), { priority: 'high' });
+    console.log(`⚙️ ${userLogin} set mode to ${mode} in ${channelLogin}`);
+  }
+
+  // Cooldown for a public reply: the channel cooldown is shared by every public command, the user cooldown is per command.
+  // Returns true (and starts the cooldowns) when the reply may go out; otherwise counts the suppression for metrics.
+  checkPublicCooldown(channelLogin, userLogin, config, command) {
+    const channelSeconds = config?.cooldown_channel_seconds ?? this.defaultChannelCooldownSeconds;
+    const userSeconds = config?.cooldown_user_seconds ?? this.defaultUserCooldownSeconds;
+    const now = Date.now();
+    const user = String(userLogin || '').toLowerCase();
+
+    let state = this.publicCooldowns.get(channelLogin);
+    if (!state) {
+      state = { lastReply: 0, commands: new Map() };
+      this.publicCooldowns.set(channelLogin, state);
+    }
+    let users = state.commands.get(command);
+    if (!users) {
+      users = new Map();
+      state.commands.set(command, users);
+    }
+
+    let scope = null;
+    if (now - state.lastReply < channelSeconds * 1000) scope = 'channel';
+    else if (now - (users.get(user) || 0) < userSeconds * 1000) scope = 'user';
+
+    if (scope) {
+      this.incCounter('eloward_command_cooldown_suppressed_total', { command, scope });
+      this.log('debug', 'Public command suppressed by cooldown', { channel: channelLogin, user, command, scope });
+      return false;
+    }
+
+    state.lastReply = now;
+    users.set(user, now);
+    return true;
+  }
+
+  // Drop per-user cooldown entries older than the longest user cooldown allowed
+  prunePublicCooldowns() {
+    const cutoff = Date.now() - this.maxCooldownSeconds * 1000;
+    for (const [channelLogin, state] of this.publicCooldowns) {
+      for (const [command, users] of state.commands) {
+        for (const [user, ts] of users) {
+          if (ts < cutoff) users.delete(user);
+        }
+        if (users.size === 0) state.commands.delete(command);
+      }
+      if (state.commands.size === 0 && state.lastReply < cutoff) this.publicCooldowns.delete(channelLogin);
+    }
+  }
+
+  // Handle !eloward base command - shows current status
+  async handleStatusCommand(channelLogin, userLogin, isPrivileged) {
+    let lang = 'en';
+    try {
+      const config = await this.getCurrentConfig(channelLogin);
+      lang = this.getLanguage(config);
+      const linkMsg = this.t(lang, 'status.link_rank');
+      
+      if (!config || !config.bot_enabled) {
+        const baseMsg = `${this.t(lang, 'status.not_enforcing')} || ${linkMsg}`;
+        const fullMsg = isPrivileged ? `${baseMsg} || ${this.t(lang, 'status.help_hint')}` : baseMsg;
+        await this.sendChatMessage(channelLogin, fullMsg, { priority: 'low' });
+        return;
+      }
+      const scope = this.formatRankScope(config, lang);
+      const minRank = this.formatRank(config.min_rank_tier, config.min_rank_division, lang);
+      const maxRank = this.formatRank(config.max_rank_tier, config.max_rank_division, lang);
+      const paused = this.getEnforcementPause(config, channelLogin);
+      let statusMsg;
+      if (paused) {
+        statusMsg = this.t(lang, 'status.paused', { reason: this.formatPause(paused, channelLogin, lang) });
+      } else if (config.dry_run) {
+        statusMsg = this.t(lang, 'status.shadow');
+      } else if (config.enforcement_mode === 'max_rank' && config.max_rank_tier) {
+        statusMsg = this.t(lang, 'status.max_rank', { rank: maxRank, scope });
+      } else if (config.enforcement_mode === 'rank_range' && config.min_rank_tier && config.max_rank_tier) {
+        statusMsg = this.t(lang, 'status.rank_range', { min: minRank, max: maxRank, scope });
+      } else if (config.enforcement_mode === 'min_rank' && config.min_rank_tier && config.min_rank_division) {
+        statusMsg = this.t(lang, 'status.min_rank', { rank: minRank, scope });
+      } else {
+        statusMsg = this.t(lang, 'status.has_rank', { scope });
+      }
+      
+      await this.sendChatMessage(channelLogin, `${statusMsg} || ${linkMsg}`, { priority: 'low' });
+    } catch (error) {
+      console.error(`❌ Status command error:`, error.message);
+      await this.sendChatMessage(channelLogin, this.t(lang, 'status.error'));
+    }
+  }
+
+  // Handle !eloward help [command...] - generated from the command registry
+  async handleHelpCommand(ctx, args) {
+    const { channelLogin, userLogin, event, lang } = ctx;
+    const topic = args.command || [];
+
+    if (topic.length === 0) {
+      const available = EloWardTwitchBot.COMMANDS
+        .filter(c => this.hasCommandPermission(c.permission, event, channelLogin))
+        .map(c => c.name);
+      await this.sendChatMessage(channelLogin, this.t(lang, 'help.list', { user: userLogin, commands: available.join(', ') }), { priority: 'low' });
+      return;
+    }
+
+    const { entry, path, rest } = this.resolveCommand(topic);
+    if (!entry || rest.length > 0) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'help.not_found', { user: userLogin, topic: topic.join(' ') }), { priority: 'low' });
+      return;
+    }
+
+    // Help text lives in the catalogs as help.<command>.<subcommand>
+    const help = this.t(lang, `help.${path.join('.')}`);
+    const aliases = entry.aliases?.length ? this.t(lang, 'help.aliases', { aliases: entry.aliases.join(', ') }) : '';
+    const who = entry.permission === 'anyone' ? '' : ` | ${this.t(lang, `permission.${entry.permission}`)}`;
+    await this.sendChatMessage(channelLogin,
+      this.t(lang, 'help.entry', { user: userLogin, usage: this.formatCommandUsage(entry, path), help, aliases, who }),
+      { priority: 'low' });
+  }
+
+  // Handle detailed status for mods
+  async handleDetailedStatus({ channelLogin, lang }) {
+    try {
+      const config = await this.getCurrentConfig(channelLogin);
+      if (!config) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'detail.not_configured'), { priority: 'high' });
+        return;
+      }
+
+      const paused = config.bot_enabled && this.getEnforcementPause(config, channelLogin);
+      const status = paused
+        ? this.t(lang, 'detail.state.paused', { reason: this.formatPause(paused, channelLogin, lang) })
+        : this.t(lang, !config.bot_enabled ? 'detail.state.inactive' : config.dry_run ? 'detail.state.shadow' : 'detail.state.active');
+      const mode = config.enforcement_mode || 'has_rank';
+      const timeout = config.timeout_seconds || 30;
+      
+      const ladder = this.parseStrikeLadder(config.strike_ladder);
+      const penalty = ladder
+        ? this.t(lang, 'detail.ladder', { ladder: this.formatStrikeLadder(ladder, lang), decay: config.strike_decay_minutes || this.defaultStrikeDecayMinutes })
+        : this.t(lang, 'detail.timeout', { seconds: timeout });
+      
+      const action = config.enforcement_action || 'timeout';
+      
+      let statusMessage = this.t(lang, 'detail.header', { status, mode, action, penalty, grace: this.formatGracePolicy(config, lang) });
+      
+      const notSet = this.t(lang, 'detail.not_set');
+      const minRank = config.min_rank_tier ? this.formatRank(config.min_rank_tier, config.min_rank_division, lang) : null;
+      const maxRank = config.max_rank_tier ? this.formatRank(config.max_rank_tier, config.max_rank_division, lang) : null;
+
+      // Only include min rank in the message if the mode is min_rank
+      if (mode === 'min_rank') {
+        statusMessage += this.t(lang, 'detail.min_rank', { rank: minRank && config.min_rank_division ? `${minRank}+` : notSet });
+      }
+
+      if (mode === 'max_rank') {
+        statusMessage += this.t(lang, 'detail.max_rank', { rank: maxRank || notSet });
+      } else if (mode === 'rank_range') {
+        statusMessage += this.t(lang, 'detail.range', { min: minRank || notSet, max: maxRank || notSet });
+      }
+
+      if (mode !== 'has_rank') {
+        statusMessage += this.t(lang, 'detail.basis', { basis: config.rank_basis || 'current' });
+      }
+
+      const scope = this.formatRankScope(config, lang);
+      if (scope) statusMessage += this.t(lang, 'detail.requires', { scope });
+
+      if (config.enforce_only_when_live) statusMessage += this.t(lang, 'detail.live_only');
+      const categories = this.parseCategories(config.categories);
+      if (categories.length) statusMessage += this.t(lang, 'detail.categories', { categories: categories.map(id => this.formatCategory(id)).join(', ') });
+      const raid = this.getRaidWindow(channelLogin);
+      statusMessage += this.t(lang, 'detail.raid', { policy: this.formatRaidPolicy(config, lang) });
+      if (raid?.mode === 'warn') statusMessage += this.t(lang, 'detail.raid_active', { from: raid.from, left: this.formatDuration(raid.until - Date.now()) });
+      statusMessage += this.t(lang, 'detail.exempt', { policy: this.formatExemptPolicy(config, lang) });
+      statusMessage += this.t(lang, 'detail.language', { language: lang });
+
+      if (config.bot_enabled && config.dry_run) {
+        const { seen, wouldTimeout } = this.getShadowSummary(channelLogin);
+        statusMessage += this.t(lang, 'detail.shadow_summary', { count: wouldTimeout, seen });
+      }
+      
+      await this.sendChatMessage(channelLogin, statusMessage, { priority: 'high' });
+    } catch (error) {
+      console.error(`❌ Detailed status error:`, error.message);
+      await this.sendChatMessage(channelLogin, this.t(lang, 'detail.error'), { priority: 'high' });
+    }
+  }
+
+  // !eloward set timeout <seconds>
+  async handleSetTimeout({ channelLogin, userLogin, lang }, { seconds }) {
+    await this.updateChannelConfig(channelLogin, { timeout_seconds: seconds }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.timeout', { seconds }), { priority: 'high' });
+    console.log(`⏱️ ${userLogin} set timeout to ${seconds}s in ${channelLogin}`);
+  }
+
+  // !eloward set min_rank|max_rank <tier> [division]
+  async handleSetRankBound(ctx, args) {
+    await this.handleRankBoundCommand(ctx, args, ctx.command === 'set max_rank' ? 'max' : 'min');
+  }
+
+  // !eloward set region <region|any>
+  async handleSetRegion({ channelLogin, userLogin, lang }, { region }) {
+    await this.updateChannelConfig(channelLogin, { required_region: region }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, region === 'any'
+      ? this.t(lang, 'set.region_any')
+      : this.t(lang, 'set.region', { region: region.toUpperCase() }), { priority: 'high' });
+    console.log(`🌍 ${userLogin} set required region ${region} in ${channelLogin}`);
+  }
+
+  // !eloward set queue <solo|flex|any>
+  async handleSetQueue({ channelLogin, userLogin, lang }, { queue }) {
+    await this.updateChannelConfig(channelLogin, { required_queue: queue }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, queue === 'any'
+      ? this.t(lang, 'set.queue_any')
+      : this.t(lang, 'set.queue', { queue: EloWardTwitchBot.QUEUE_LABELS[queue] }), { priority: 'high' });
+    console.log(`🎮 ${userLogin} set required queue ${queue} in ${channelLogin}`);
+  }
+
+  // !eloward set grace off | messages <n> | minutes <n> | first <on|off>
+  async handleSetGrace({ channelLogin, userLogin, command, lang }, args) {
+    const kind = command.split(' ').pop();
+    const updates = kind === 'off' ? { grace_messages: 0, grace_minutes: 0, grace_first_msg: false }
+      : kind === 'messages' ? { grace_messages: args.count }
+      : kind === 'minutes' ? { grace_minutes: args.minutes }
+      : { grace_first_msg: args.state === 'on' };
+
+    await this.updateChannelConfig(channelLogin, updates, { actor: userLogin });
+    const config = await this.getCurrentConfig(channelLogin);
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.grace', { policy: this.formatGracePolicy({ ...config, ...updates }, lang) }), { priority: 'high' });
+    console.log(`🤝 ${userLogin} set grace ${JSON.stringify(updates)} in ${channelLogin}`);
+  }
+
+  // !eloward set action <delete|timeout|delete_and_timeout>
+  async handleSetAction({ channelLogin, userLogin, lang }, { action }) {
+    await this.updateChannelConfig(channelLogin, { enforcement_action: action }, { actor: userLogin });
+    const note = action !== 'timeout' && this.missingScopes.has('moderator:manage:chat_messages')
+      ? this.t(lang, 'set.action_missing_scope')
+      : '';
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.action', { action, note }), { priority: 'high' });
+    console.log(`⚙️ ${userLogin} set enforcement action ${action} in ${channelLogin}`);
+  }
+
+  // !eloward set ladder <steps...|off>
+  async handleSetLadder({ channelLogin, userLogin, lang }, { steps }) {
+    if (steps[0]?.toLowerCase() === 'off') {
+      await this.updateChannelConfig(channelLogin, { strike_ladder: null }, { actor: userLogin });
+      await this.sendChatMessage(channelLogin, this.t(lang, 'set.ladder_off'), { priority: 'high' });
+      console.log(`🪜 ${userLogin} disabled strike ladder in ${channelLogin}`);
+      return;
+    }
+    const ladder = steps.length <= this.maxLadderSteps ? this.parseStrikeLadder(steps) : null;
+    if (!ladder) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'set.ladder_usage', { max: this.maxLadderSteps }), { priority: 'high' });
+      return;
+    }
+    await this.updateChannelConfig(channelLogin, { strike_ladder: ladder.join(',') }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.ladder', { ladder: this.formatStrikeLadder(ladder, lang) }), { priority: 'high' });
+    console.log(`🪜 ${userLogin} set strike ladder ${ladder.join(',')} in ${channelLogin}`);
+  }
+
+  // !eloward set decay <minutes>
+  async handleSetDecay({ channelLogin, userLogin, lang }, { minutes }) {
+    await this.updateChannelConfig(channelLogin, { strike_decay_minutes: minutes }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.decay', { minutes }), { priority: 'high' });
+    console.log(`🪜 ${userLogin} set strike decay to ${minutes}m in ${channelLogin}`);
+  }
+
+  // !eloward set exempt subs|vip|founders <on|off>
+  async handleSetExemptGroup({ channelLogin, userLogin, command, lang }, { state }) {
+    const group = command.split(' ').pop();
+    const field = `exempt_${group}`;
+    await this.updateChannelConfig(channelLogin, { [field]: state === 'on' }, { actor: userLogin });
+    const label = this.t(lang, `group.${group}`);
+    await this.sendChatMessage(channelLogin, this.t(lang, state === 'on' ? 'set.exempt_group_on' : 'set.exempt_group_off', { group: label }), { priority: 'high' });
+    console.log(`🛡️ ${userLogin} set ${field} ${state} in ${channelLogin}`);
+  }
+
+  // !eloward set exempt tier <1-3>
+  async handleSetExemptTier({ channelLogin, userLogin, lang }, { tier }) {
+    await this.updateChannelConfig(channelLogin, { exempt_min_sub_tier: tier }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.exempt_tier', { tier }), { priority: 'high' });
+    console.log(`🛡️ ${userLogin} set exempt sub tier ${tier} in ${channelLogin}`);
+  }
+
+  // !eloward set cooldown channel|user <seconds> | off
+  async handleSetCooldown({ channelLogin, userLogin, command, lang }, { seconds }) {
+    const scope = command.split(' ').pop();
+    const updates = scope === 'off' ? { cooldown_channel_seconds: 0, cooldown_user_seconds: 0 }
+      : { [`cooldown_${scope}_seconds`]: seconds };
+
+    await this.updateChannelConfig(channelLogin, updates, { actor: userLogin });
+    const config = { ...await this.getCurrentConfig(channelLogin), ...updates };
+    const channelSeconds = config.cooldown_channel_seconds ?? this.defaultChannelCooldownSeconds;
+    const userSeconds = config.cooldown_user_seconds ?? this.defaultUserCooldownSeconds;
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.cooldown', { channel: channelSeconds, user: userSeconds }), { priority: 'high' });
+    console.log(`🧊 ${userLogin} set cooldowns ${JSON.stringify(updates)} in ${channelLogin}`);
+  }
+
+  // !eloward set language <en|es|de|fr|pt|ko> - replies in the new language
+  async handleSetLanguage({ channelLogin, userLogin }, { language }) {
+    await this.updateChannelConfig(channelLogin, { language }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(language, 'language.set'), { priority: 'high' });
+    console.log(`🌐 ${userLogin} set language ${language} in ${channelLogin}`);
+  }
+
+  // !eloward set basis <current|peak|best_of>
+  async handleSetBasis({ channelLogin, userLogin, lang }, { basis }) {
+    await this.updateChannelConfig(channelLogin, { rank_basis: basis }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.basis', { basis: this.t(lang, `basis.${basis}`) }), { priority: 'high' });
+    console.log(`📈 ${userLogin} set rank basis to ${basis} in ${channelLogin}`);
+  }
+
+  // !eloward set live_only on|off - standby while the stream is offline
+  async handleSetLiveOnly({ channelLogin, userLogin, lang }, { state }) {
+    const enabled = state === 'on';
+    await this.updateChannelConfig(channelLogin, { enforce_only_when_live: enabled }, { actor: userLogin });
+    // Don't wait up to a minute for the first poll
+    if (enabled) await this.pollStreams([channelLogin]);
+    await this.sendChatMessage(channelLogin, this.t(lang, enabled ? 'set.live_only_on' : 'set.live_only_off'), { priority: 'high' });
+    console.log(`📺 ${userLogin} turned live-only enforcement ${state} in ${channelLogin}`);
+  }
+
+  // !eloward set categories lol tft 12345 | default | off - only enforce while streaming one of these categories
+  async handleSetCategories({ channelLogin, userLogin, lang }, { categories: tokens }) {
+    let categories = [];
+    const words = tokens.flatMap(token => token.toLowerCase().split(',')).filter(Boolean);
+    if (words.length === 1 && words[0] === 'default') {
+      categories = [...EloWardTwitchBot.DEFAULT_CATEGORIES];
+    } else if (!(words.length === 1 && words[0] === 'off')) {
+      for (const word of words) {
+        const id = EloWardTwitchBot.CATEGORY_ALIASES[word] || (/^\d+$/.test(word) ? word : null);
+        if (!id) {
+          await this.sendChatMessage(channelLogin, this.t(lang, 'set.categories_invalid', { value: word }), { priority: 'high' });
+          return;
+        }
+        if (!categories.includes(id)) categories.push(id);
+      }
+      if (categories.length > this.maxCategoriesPerChannel) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'set.categories_too_many', { max: this.maxCategoriesPerChannel }), { priority: 'high' });
+        return;
+      }
+    }
+
+    await this.updateChannelConfig(channelLogin, { categories: categories.length ? categories.join(',') : null }, { actor: userLogin });
+    if (categories.length) await this.pollStreams([channelLogin]);
+    await this.sendChatMessage(channelLogin, categories.length
+      ? this.t(lang, 'set.categories', { categories: categories.map(id => this.formatCategory(id)).join(', ') })
+      : this.t(lang, 'set.categories_off'), { priority: 'high' });
+    console.log(`🎮 ${userLogin} set categories to ${categories.join(',') || 'any'} in ${channelLogin}`);
+  }
+
+  // !eloward set raid suspend|warn|off [minutes] - what happens to enforcement after an incoming raid
+  async handleSetRaid({ channelLogin, userLogin, lang }, { mode, minutes }) {
+    const updates = { raid_protection: mode };
+    if (minutes) updates.raid_grace_minutes = minutes;
+    await this.updateChannelConfig(channelLogin, updates, { actor: userLogin });
+    if (mode === 'off') this.raidWindows.delete(channelLogin);
+    const config = await this.getCurrentConfig(channelLogin);
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.raid', { policy: this.formatRaidPolicy({ ...config, ...updates }, lang) }), { priority: 'high' });
+    console.log(`🛡️ ${userLogin} set raid protection to ${mode}${minutes ? ` (${minutes}m)` : ''} in ${channelLogin}`);
+  }
+
+  // !eloward set reason <message> - updates the current mode's timeout message
+  async handleSetReason({ channelLogin, userLogin, lang }, args) {
+    const reason = args.message.replace(/"/g, '').trim();
+    if (!reason) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'set.reason_empty'), { priority: 'high' });
+      return;
+    }
+
+    // Reject typos like {teir} or an unclosed {#master} now rather than shipping them to viewers
+    const allowed = [...EloWardTwitchBot.REASON_VARIABLES, ...EloWardTwitchBot.REASON_FLAGS];
+    const invalid = this.validateTemplate(reason, allowed);
+    if (invalid) {
+      const variables = EloWardTwitchBot.REASON_VARIABLES.map(name => `{${name}}`).join(' ');
+      const vars = { token: invalid.token, variables, sections: '{#master}...{/master}', open: `{#${invalid.name}}`, close: `{/${invalid.name}}` };
+      await this.sendChatMessage(channelLogin, this.t(lang, `set.reason_${invalid.error}`, vars), { priority: 'high' });
+      return;
+    }
+
+    // Get current config to determine which mode we're updating
+    const currentConfig = await this.getCurrentConfig(channelLogin);
+    const mode = currentConfig?.enforcement_mode || 'has_rank';
+    
+    // Update the appropriate mode-specific column
+    const reasonMode = EloWardTwitchBot.ENFORCEMENT_MODES.includes(mode) ? mode : 'has_rank';
+    const updateField = `reason_${reasonMode}`;
+    await this.updateChannelConfig(channelLogin, { [updateField]: reason }, { actor: userLogin });
+    
+    await this.sendChatMessage(channelLogin, this.t(lang, 'set.reason', { mode: reasonMode, reason }), { priority: 'high' });
+    console.log(`⚙️ ${userLogin} set ${updateField} to "${reason}" in ${channelLogin}`);
+  }
+
+  // !eloward exempt add|remove|list [user] - per-channel allowlist of users never enforced on
+  async handleExemptCommand({ channelLogin, userLogin, command, lang }, args) {
+    const action = command.split(' ').pop();
+    const target = args.user;
+    const config = await this.getCurrentConfig(channelLogin);
+    const users = this.parseExemptUsers(config?.exempt_users);
 
-      // Handle help command (anyone can use)
-      if (command === 'help') {
-        return this.handleHelpCommand(channelLogin, userLogin, isPrivileged);
-      }
+    if (action === 'list') {
+      const listMsg = users.length ? this.t(lang, 'exempt.list', { count: users.length, users: users.join(', ') }) : this.t(lang, 'exempt.list_empty');
+      await this.sendChatMessage(channelLogin, listMsg.length > 450 ? `${listMsg.slice(0, 447)}...` : listMsg, { priority: 'high' });
+      return;
+    }
 
-      // All other commands require mod/broadcaster privileges
-      if (!isPrivileged) {
-        await this.sendChatMessage(channelLogin, `You don't have permission to use that command`);
+    if (action === 'add') {
+      if (users.includes(target)) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'exempt.already', { user: target }), { priority: 'high' });
         return;
       }
+      if (users.length >= this.maxExemptUsers) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'exempt.full', { max: this.maxExemptUsers }), { priority: 'high' });
+        return;
+      }
+      await this.updateChannelConfig(channelLogin, { exempt_users: [...users, target].join(',') }, { actor: userLogin });
+      await this.sendChatMessage(channelLogin, this.t(lang, 'exempt.added', { user: target }), { priority: 'high' });
+    } else {
+      if (!users.includes(target)) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'exempt.not_listed', { user: target }), { priority: 'high' });
+        return;
+      }
+      await this.updateChannelConfig(channelLogin, { exempt_users: users.filter(u => u !== target).join(',') }, { actor: userLogin });
+      await this.sendChatMessage(channelLogin, this.t(lang, 'exempt.removed', { user: target }), { priority: 'high' });
+    }
+    console.log(`🛡️ ${userLogin} ${action === 'add' ? 'added' : 'removed'} exempt user ${target} in ${channelLogin}`);
+  }
 
-      switch (command) {
-        case 'on':
-          await this.updateChannelConfig(channelLogin, { bot_enabled: true });
-          const onConfig = await this.getCurrentConfig(channelLogin);
-          await this.sendChatMessage(channelLogin, `EloWardBot is awake, mode set to ${onConfig?.enforcement_mode || 'has_rank'}. Type !eloward for more info`);
-          console.log(`🔵 ${userLogin} enabled bot in ${channelLogin}`);
-          break;
-
-        case 'off':
-          await this.updateChannelConfig(channelLogin, { bot_enabled: false });
-          await this.sendChatMessage(channelLogin, `EloWardBot is now sleeping`);
-          console.log(`🔴 ${userLogin} disabled bot in ${channelLogin}`);
-          break;
-
-        case 'mode':
-          if (parts[2] === 'has_rank') {
-            await this.updateChannelConfig(channelLogin, { enforcement_mode: 'has_rank' });
-            await this.sendChatMessage(channelLogin, `Mode set to has_rank. Chat restricted to subs and viewers with ranks`);
-            console.log(`⚙️ ${userLogin} set mode to has_rank in ${channelLogin}`);
-          } else if (parts[2] === 'min_rank') {
-            await this.updateChannelConfig(channelLogin, { enforcement_mode: 'min_rank' });
-            const config = await this.getCurrentConfig(channelLogin);
-            const minRankMsg = config?.min_rank_tier && config?.min_rank_division 
-              ? ` (${config.min_rank_tier} ${config.min_rank_division} and above)`
-              : ` (set minimum rank with !eloward set min_rank [tier] [division])`;
-            await this.sendChatMessage(channelLogin, `Mode set to min_rank${minRankMsg}`);
-            console.log(`⚙️ ${userLogin} set mode to min_rank in ${channelLogin}`);
-          } else {
-            await this.sendChatMessage(channelLogin, `Invalid mode. Use has_rank OR min_rank`);
-          }
-          break;
-
-        case 'set':
-          await this.handleSetCommand(channelLogin, userLogin, parts);
-          break;
+  // !eloward check <user> - run the handleMessage pipeline for a user without acting, and explain the result
+  async handleCheckCommand({ channelLogin, userLogin, lang }, { user: target }) {
+    const config = await this.getCurrentConfig(channelLogin);
+    if (!config) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'detail.not_configured'), { priority: 'high' });
+      return;
+    }
 
-        case 'status':
-          await this.handleDetailedStatus(channelLogin, userLogin);
-          break;
+    // Same rank lookup as handleMessage (and it warms the cache the same way)
+    let rankResult = this.getCachedRank(target);
+    const rankCached = !!rankResult;
+    if (!rankResult) {
+      const fetchedRank = await this.fetchUserRank(target);
+      this.setCachedRank(target, fetchedRank.hasRank, fetchedRank.rankData);
+      rankResult = { hasRank: fetchedRank.hasRank, rankData: fetchedRank.rankData };
+    }
 
-        default:
-          await this.sendChatMessage(channelLogin, `Unknown command. Type !eloward help for available commands`);
-          console.log(`❓ Unknown command from ${userLogin} in ${channelLogin}: ${message}`);
-      }
-    } catch (error) {
-      console.error(`❌ Chat command error from ${userLogin} in ${channelLogin}:`, error.message);
-      await this.sendChatMessage(channelLogin, `Command failed please try again`);
+    const rankData = rankResult.rankData;
+    let rankText = this.t(lang, 'check.not_linked');
+    if (rankResult.hasRank) {
+      const current = rankData?.rank_tier ? this.formatRank(rankData.rank_tier, rankData.rank_division, lang) : this.t(lang, 'check.rank_unavailable');
+      const peak = rankData?.peak_rank_tier
+        ? this.t(lang, 'check.peak', { rank: this.formatRank(rankData.peak_rank_tier, rankData.peak_rank_division, lang) })
+        : '';
+      const scope = [rankData?.region?.toUpperCase(), rankData?.queue && EloWardTwitchBot.QUEUE_LABELS[rankData.queue]].filter(Boolean).join(' ');
+      rankText = this.t(lang, 'check.rank', { rank: current, peak, scope: scope ? ` [${scope}]` : '' });
     }
+
+    // Roles come from the user's last message here; without one only name-based exemptions can apply
+    const seen = this.chatterRoles.get(channelLogin)?.get(target);
+    const exemptReason = this.getExemptReason({ nick: target, tags: seen?.tags || {} }, channelLogin, config);
+    const permitted = this.hasActivePermit(config, target);
+    // With the bot off evaluateRank only says 'standby'; judge against the rules it would enforce once enabled
+    const { timeout, rule } = this.evaluateRank(rankResult, config.bot_enabled ? config : { ...config, bot_enabled: true });
+
+    let verdict;
+    if (!config.bot_enabled) verdict = this.t(lang, timeout ? 'check.bot_off_fail' : 'check.bot_off_meet', { rule });
+    else if (exemptReason) verdict = this.t(lang, 'check.exempt', { reason: this.t(lang, `exempt_reason.${exemptReason}`) });
+    else if (permitted) verdict = this.t(lang, 'check.exempt', { reason: this.t(lang, 'exempt_reason.permit') });
+    else verdict = `${this.t(lang, timeout ? 'check.fails' : 'check.meets', { rule })}${config.dry_run ? this.t(lang, 'check.shadow') : ''}`;
+    const paused = config.bot_enabled && this.getEnforcementPause(config, channelLogin);
+    if (paused) verdict += this.t(lang, 'check.paused', { reason: this.formatPause(paused, channelLogin, lang) });
+
+    const note = seen ? '' : this.t(lang, 'check.roles_unknown');
+    await this.sendChatMessage(channelLogin,
+      this.t(lang, 'check.reply', { user: userLogin, target, rank: rankText, verdict, source: this.t(lang, rankCached ? 'check.cached' : 'check.fresh'), note }),
+      { priority: 'high' });
+    console.log(`🔍 ${userLogin} checked ${target} in ${channelLogin}: ${rule}${exemptReason ? ` (exempt: ${exemptReason})` : ''}`);
   }
 
-  // Handle !eloward base command - shows current status
-  async handleStatusCommand(channelLogin, userLogin, isPrivileged) {
-    try {
-      const config = await this.getCurrentConfig(channelLogin);
-      
-      if (!config || !config.bot_enabled) {
-        const baseMsg = `EloWardBot is not enforcing right now || Link your rank at eloward.com and show peak rank with EloWard Plus`;
-        const fullMsg = isPrivileged ? `${baseMsg} || For a list of commands, type !eloward help` : baseMsg;
-        await this.sendChatMessage(channelLogin, fullMsg);
-        return;
-      }
-      let statusMsg;
-      if (config.enforcement_mode === 'min_rank' && config.min_rank_tier && config.min_rank_division) {
-        statusMsg = `Chat is currently restricted to subs, and viewers ranked ${config.min_rank_tier} ${config.min_rank_division} or above || Link your rank at eloward.com and show peak rank with EloWard Plus`;
-      } else {
-        statusMsg = `Chat is currently restricted to subs, and viewers with ranks || Link your rank at eloward.com and show peak rank with EloWard Plus`;
-      }
-      
-      await this.sendChatMessage(channelLogin, statusMsg);
-    } catch (error) {
-      console.error(`❌ Status command error:`, error.message);
-      await this.sendChatMessage(channelLogin, `Unable to check status. Please try again.`);
+  // Permits are stored as "user:expiresAtMs,..." in config; expired entries are dropped on read
+  parsePermits(value, now = Date.now()) {
+    const permits = new Map();
+    for (const entry of String(value || '').split(',')) {
+      const [user, expires] = entry.split(':');
+      const expiresAt = parseInt(expires, 10);
+      if (user && expiresAt > now) permits.set(user.trim().toLowerCase(), expiresAt);
     }
+    return permits;
   }
 
-  // Handle !eloward help command
-  async handleHelpCommand(channelLogin, userLogin) {
-    await this.sendChatMessage(channelLogin, `@${userLogin} Full command list: https://www.eloward.com/setup/bot#commands-reference`);
+  formatPermits(permits) {
+    return [...permits].map(([user, expiresAt]) => `${user}:${expiresAt}`).join(',');
   }
 
-  // Handle detailed status for mods
-  async handleDetailedStatus(channelLogin, userLogin) {
-    try {
-      const config = await this.getCurrentConfig(channelLogin);
-      if (!config) {
-        await this.sendChatMessage(channelLogin, `EloWardBot: Not configured`);
+  hasActivePermit(config, userLogin) {
+    if (!config?.permits) return false;
+    return this.parsePermits(config.permits).has(String(userLogin || '').toLowerCase());
+  }
+
+  // "90s", "30m", "2h", "1d" or bare minutes -> ms (null if unparseable)
+  parseDuration(input) {
+    const match = /^(\d+)([smhd]?)$/i.exec(String(input || '').trim());
+    if (!match) return null;
+    const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[(match[2] || 'm').toLowerCase()];
+    return parseInt(match[1], 10) * unitMs;
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours}h${minutes % 60}m` : `${hours}h`;
+  }
+
+  // !eloward permit <user> [duration] | !eloward permits | !eloward unpermit <user>
+  async handlePermitCommand({ channelLogin, userLogin, command, lang }, args) {
+    const config = await this.getCurrentConfig(channelLogin);
+    const now = Date.now();
+    const permits = this.parsePermits(config?.permits, now);
+
+    if (command === 'permits') {
+      const list = [...permits].map(([user, expiresAt]) => this.t(lang, 'permit.entry', { user, left: this.formatDuration(expiresAt - now) }));
+      const listMsg = list.length ? this.t(lang, 'permit.list', { permits: list.join(', ') }) : this.t(lang, 'permit.list_empty');
+      await this.sendChatMessage(channelLogin, listMsg.length > 450 ? `${listMsg.slice(0, 447)}...` : listMsg, { priority: 'high' });
+      return;
+    }
+
+    const target = args.user;
+
+    if (command === 'unpermit') {
+      if (!permits.delete(target)) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'permit.none', { user: target }), { priority: 'high' });
         return;
       }
+      await this.updateChannelConfig(channelLogin, { permits: this.formatPermits(permits) }, { actor: userLogin });
+      await this.sendChatMessage(channelLogin, this.t(lang, 'permit.revoked', { user: target }), { priority: 'high' });
+      console.log(`🎟️ ${userLogin} revoked permit for ${target} in ${channelLogin}`);
+      return;
+    }
 
-      const status = config.bot_enabled ? '🟢 Active' : '🔴 Inactive';
-      const mode = config.enforcement_mode || 'has_rank';
-      const timeout = config.timeout_seconds || 30;
-      
-      let statusMessage = `EloWardBot Status: ${status} | Mode: ${mode} | Timeout: ${timeout}s`;
-      
-      // Only include min rank in the message if the mode is min_rank
-      if (mode === 'min_rank') {
-        const minRank = (config.min_rank_tier && config.min_rank_division) 
-          ? `${config.min_rank_tier} ${config.min_rank_division}+` 
-          : 'Not set';
-        statusMessage += ` | Min Rank: ${minRank}`;
-      }
-      
-      await this.sendChatMessage(channelLogin, statusMessage);
-    } catch (error) {
-      console.error(`❌ Detailed status error:`, error.message);
-      await this.sendChatMessage(channelLogin, `Unable to get detailed status.`);
+    const durationMs = args.duration || this.defaultPermitMs;
+    if (durationMs > this.maxPermitMs) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'permit.too_long', { max: this.formatDuration(this.maxPermitMs) }), { priority: 'high' });
+      return;
     }
+    if (!permits.has(target) && permits.size >= this.maxPermitsPerChannel) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'permit.too_many', { max: this.maxPermitsPerChannel }), { priority: 'high' });
+      return;
+    }
+
+    permits.set(target, now + durationMs);
+    await this.updateChannelConfig(channelLogin, { permits: this.formatPermits(permits) }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'permit.granted', { user: target, duration: this.formatDuration(durationMs) }), { priority: 'high' });
+    console.log(`🎟️ ${userLogin} permitted ${target} for ${this.formatDuration(durationMs)} in ${channelLogin}`);
   }
 
-  // Handle set subcommands
-  async handleSetCommand(channelLogin, userLogin, parts) {
-    const subcommand = parts[2]?.toLowerCase();
-    
-    switch (subcommand) {
-      case 'timeout':
-        if (parts[3] && !isNaN(parts[3])) {
-          const seconds = Math.max(1, Math.min(1209600, parseInt(parts[3])));
-          await this.updateChannelConfig(channelLogin, { timeout_seconds: seconds });
-          await this.sendChatMessage(channelLogin, `Timeout duration set to ${seconds} seconds`);
-          console.log(`⏱️ ${userLogin} set timeout to ${seconds}s in ${channelLogin}`);
-        } else {
-          await this.sendChatMessage(channelLogin, `Correct usage: !eloward set timeout [1-1209600]`);
-        }
-        break;
+  // Set the min or max rank bound (tier/division already schema-checked) - validates max ≥ min.
+  // Returns true when the bound was saved, so "!eloward mode min_rank gold 4" can stop on a bad rank.
+  async handleRankBoundCommand({ channelLogin, userLogin, lang }, args, bound) {
+    const key = `${bound}_rank`;
 
-      case 'min_rank':
-        if (parts[3]) {
-          const tier = parts[3].toUpperCase();
-          const divisionInput = parts[4] ? this.normalizeDivision(parts[4]) : null;
-          
-          // Validate tier
-          const validTiers = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
-          if (!validTiers.includes(tier)) {
-            await this.sendChatMessage(channelLogin, `Invalid tier. Valid tiers: ${validTiers.join(', ')}`);
-            return;
-          }
-          
-          const noDivisionTiers = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
-          
-          // Master+ ranks: ignore any provided division, always set to I in database
-          if (noDivisionTiers.includes(tier)) {
-            await this.updateChannelConfig(channelLogin, {
-              min_rank_tier: tier,
-              min_rank_division: 'I' // Always I for Master+ ranks
-            });
-            await this.sendChatMessage(channelLogin, `Minimum rank set to ${tier}`);
-            console.log(`⚙️ ${userLogin} set minrank ${tier} in ${channelLogin}`);
-          } else {
-            // Regular tiers (Iron-Diamond): require and validate division
-            if (!divisionInput) {
-              await this.sendChatMessage(channelLogin, `${tier} requires a division. Usage: !eloward set min_rank ${tier.toLowerCase()} [1-4]`);
-              return;
-            }
-            
-            const validDivisions = ['I', 'II', 'III', 'IV'];
-            if (!validDivisions.includes(divisionInput)) {
-              await this.sendChatMessage(channelLogin, `Invalid division. Use: I, II, III, IV (or 1, 2, 3, 4)`);
-              return;
-            }
-            
-            await this.updateChannelConfig(channelLogin, {
-              min_rank_tier: tier,
-              min_rank_division: divisionInput
-            });
-            await this.sendChatMessage(channelLogin, `Minimum rank set to ${tier} ${divisionInput}`);
-            console.log(`⚙️ ${userLogin} set minrank ${tier} ${divisionInput} in ${channelLogin}`);
-          }
-        } else {
-          await this.sendChatMessage(channelLogin, `Usage: !eloward set min_rank [tier] [division]`);
-        }
-        break;
+    const tier = args.tier.toUpperCase();
+    const divisionInput = args.division ? this.normalizeDivision(args.division) : null;
+    
+    const noDivisionTiers = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+    let division = 'I'; // Master+ ranks: ignore any provided division, always set to I in database
 
-      case 'reason':
-        if (parts.length > 3) {
-          // Join all parts from index 3 onwards to handle multi-word reasons
-          const reason = parts.slice(3).join(' ').replace(/"/g, '').trim();
-          if (reason) {
-            // Get current config to determine which mode we're updating
-            const currentConfig = await this.getCurrentConfig(channelLogin);
-            const mode = currentConfig?.enforcement_mode || 'has_rank';
-            
-            // Update the appropriate mode-specific column
-            const updateField = mode === 'min_rank' ? 'reason_min_rank' : 'reason_has_rank';
-            await this.updateChannelConfig(channelLogin, { [updateField]: reason });
-            
-            const modeText = mode === 'min_rank' ? 'min_rank mode' : 'has_rank mode';
-            await this.sendChatMessage(channelLogin, `Timeout reason for ${modeText} set to: "${reason}"`);
-            console.log(`⚙️ ${userLogin} set ${updateField} to "${reason}" in ${channelLogin}`);
-          } else {
-            await this.sendChatMessage(channelLogin, `Please provide a reason message`);
-          }
-        } else {
-          await this.sendChatMessage(channelLogin, `Usage: !eloward set reason [your custom message] (updates current mode's timeout message)`);
-        }
-        break;
+    if (!noDivisionTiers.includes(tier)) {
+      // Regular tiers (Iron-Diamond): require and validate division
+      if (!divisionInput) {
+        await this.sendChatMessage(channelLogin, this.t(lang, 'rank.division_required', { tier: this.formatRank(tier, null, lang), key, tier_arg: tier.toLowerCase() }), { priority: 'high' });
+        return false;
+      }
+      division = divisionInput;
+    }
 
-      default:
-        await this.sendChatMessage(channelLogin, `Unknown subcommand. Use !eloward help for details`);
+    // The other bound must stay consistent: max ≥ min
+    const config = await this.getCurrentConfig(channelLogin);
+    const newValue = this.getRankValue(tier, division);
+    if (bound === 'max' && config?.min_rank_tier && newValue < this.getRankValue(config.min_rank_tier, config.min_rank_division)) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'rank.max_below_min', { rank: this.formatRank(config.min_rank_tier, config.min_rank_division, lang) }), { priority: 'high' });
+      return false;
+    }
+    if (bound === 'min' && config?.max_rank_tier && newValue > this.getRankValue(config.max_rank_tier, config.max_rank_division)) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'rank.min_above_max', { rank: this.formatRank(config.max_rank_tier, config.max_rank_division, lang) }), { priority: 'high' });
+      return false;
     }
+
+    await this.updateChannelConfig(channelLogin, {
+      [`${key}_tier`]: tier,
+      [`${key}_division`]: division
+    }, { actor: userLogin });
+    await this.sendChatMessage(channelLogin, this.t(lang, `rank.${bound}_set`, { rank: this.formatRank(tier, division, lang) }), { priority: 'high' });
+    console.log(`⚙️ ${userLogin} set ${key} ${this.formatRank(tier, division)} in ${channelLogin}`);
+    return true;
   }
 
-  // HMAC-secured config update
-  async updateChannelConfig(channelLogin, updates) {
+  // HMAC-secured config update. The Worker also gets who made the change, from where, and the values it replaces
+  // (for its audit log); successful changes are recorded locally for !eloward history / undo.
+  async updateChannelConfig(channelLogin, updates, { actor = null, source = 'chat', undo = false } = {}) {
     try {
+      const current = await this.getCurrentConfig(channelLogin);
+      const previous = Object.fromEntries(Object.keys(updates).map(field => [field, current?.[field] ?? null]));
       const path = '/bot/config-update';
       const body = JSON.stringify({
         channel_login: channelLogin,
-        fields: updates
+        fields: updates,
+        actor,
+        source,
+        previous,
+        ...(undo && { undo: true })
       });
       const headers = this.signRequest('POST', path, body);
       
+      const started = Date.now();
       const response = await fetch(`${this.WORKER_URL}${path}`, {
         method: 'POST',
         headers,
         body
       });
+      this.observeWorkerCall(path, started, response.status);
 
       if (response.ok) {
         // Invalidate local cache so next message gets fresh config
         this.configCache.delete(channelLogin);
+        // An undo removes its entry instead of adding one, so repeated undos keep walking back
+        if (!undo) this.recordConfigChange(channelLogin, { actor, source, fields: updates, previous });
+        if (this.redis) {
+          const writes = (this.recentConfigWrites.get(channelLogin) || []).filter(w => Date.now() - w.at < 60000);
+          writes.push({ fields: JSON.stringify(updates), at: Date.now() });
+          this.recentConfigWrites.set(channelLogin, writes);
+        }
         console.log(`✅ Config updated for ${channelLogin}:`, updates);
-      } else {
-        console.warn(`Config update failed for ${channelLogin}: ${response.status}`);
+        return true;
       }
+      console.warn(`Config update failed for ${channelLogin}: ${response.status}`);
     } catch (error) {
       console.warn(`Config update error for ${channelLogin}:`, error.message);
     }
+    return false;
+  }
+
+  // Append a change to the channel's history (previous: null when the old values are unknown)
+  recordConfigChange(channelLogin, { actor, source, fields, previous }) {
+    let history = this.configHistory.get(channelLogin);
+    if (!history) {
+      history = [];
+      this.configHistory.set(channelLogin, history);
+    }
+    history.push({ at: Date.now(), actor: actor || 'unknown', source, fields, previous });
+    if (history.length > this.maxConfigHistory) history.shift();
+  }
+
+  // Whether a Redis update is the echo of one of our own recent writes (the Worker may not pass `source` through)
+  isConfigChangeEcho(channelLogin, fields) {
+    const writes = this.recentConfigWrites.get(channelLogin) || [];
+    const json = JSON.stringify(fields);
+    const index = writes.findIndex(w => w.fields === json && Date.now() - w.at < 60000);
+    if (index === -1) return false;
+    writes.splice(index, 1);
+    if (!writes.length) this.recentConfigWrites.delete(channelLogin);
+    return true;
+  }
+
+  // Short display form of a config value (long lists like permits are cut)
+  formatConfigValue(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    const text = String(value);
+    return text.length > 24 ? `${text.slice(0, 21)}...` : text;
+  }
+
+  // !eloward history [count] - most recent changes first
+  async handleHistoryCommand({ channelLogin, lang }, args) {
+    const history = this.configHistory.get(channelLogin) || [];
+    if (!history.length) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'history.empty'), { priority: 'high' });
+      return;
+    }
+
+    const now = Date.now();
+    const entries = history.slice(-(args.count || 5)).reverse().map(entry => {
+      const changes = Object.entries(entry.fields).map(([field, value]) => (entry.previous
+        ? `${field} ${this.formatConfigValue(entry.previous[field])}→${this.formatConfigValue(value)}`
+        : `${field}=${this.formatConfigValue(value)}`));
+      return this.t(lang, 'history.entry', { actor: entry.actor, source: entry.source, age: this.formatDuration(now - entry.at), changes: changes.join(', ') });
+    });
+    await this.sendChatMessage(channelLogin, this.t(lang, 'history.list', { entries: entries.join(' | ') }), { priority: 'high' });
+  }
+
+  // !eloward undo - restore the values the most recent change replaced
+  async handleUndoCommand({ channelLogin, userLogin, lang }) {
+    const history = this.configHistory.get(channelLogin) || [];
+    const entry = history[history.length - 1];
+    if (!entry) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'undo.empty'), { priority: 'high' });
+      return;
+    }
+    if (!entry.previous) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'undo.unavailable', { actor: entry.actor }), { priority: 'high' });
+      return;
+    }
+
+    if (!await this.updateChannelConfig(channelLogin, entry.previous, { actor: userLogin, undo: true })) {
+      await this.sendChatMessage(channelLogin, this.t(lang, 'command.failed'), { priority: 'high' });
+      return;
+    }
+    history.pop();
+    const changes = Object.entries(entry.previous).map(([field, value]) => `${field}=${this.formatConfigValue(value)}`).join(', ');
+    await this.sendChatMessage(channelLogin, this.t(lang, 'undo.done', { actor: entry.actor, changes }), { priority: 'high' });
+    console.log(`↩️ ${userLogin} undid ${entry.actor}'s change in ${channelLogin}:`, entry.previous);
   }
 
   // Channel loading from Worker - load ALL channels and stay in them 24/7
   async loadChannels() {
     try {
       console.log('📡 Loading channels from Worker (always-on presence model)...');
+      const started = Date.now();
       const response = await fetch(`${this.WORKER_URL}/channels`);
+      this.observeWorkerCall('/channels', started, response.status);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -1191,61 +3072,212 @@ class EloWardTwitchBot {
       // Clear and rebuild channel map
       this.channels.clear();
       
-      // Distribute channels across both connections (max 80 per connection)
-      const primaryChannels = channels.slice(0, this.maxChannelsPerConnection);
-      const secondaryChannels = channels.slice(this.maxChannelsPerConnection, this.maxChannelsPerConnection * 2);
-      
-      console.log(`🎯 Joining ${primaryChannels.length} channels on primary connection...`);
-      
-      // Join channels on primary connection with rate limiting
-      for (let i = 0; i < primaryChannels.length; i++) {
-        const channel = primaryChannels[i];
-        
-        // Track if this is a new channel (not previously joined)
-        const wasAlreadyJoined = this.channels.has(channel);
-        
-        this.primaryBot.join(`#${channel}`);
-        this.channels.set(channel, { primary: true, secondary: false });
-        
-        
-        // Conservative rate limit: 15 joins per 10 seconds = 667ms between joins
-        await new Promise(resolve => setTimeout(resolve, 667));
-        
-        // Progress logging every 10 channels
-        if ((i + 1) % 10 === 0) {
-          console.log(`📊 Primary: ${i + 1}/${primaryChannels.length} channels joined`);
-        }
-      }
-      
-      if (secondaryChannels.length > 0) {
-        console.log(`🎯 Joining ${secondaryChannels.length} channels on secondary connection...`);
-        
-        // Join channels on secondary connection with rate limiting
-        for (let i = 0; i < secondaryChannels.length; i++) {
-          const channel = secondaryChannels[i];
-          
-          const wasAlreadyJoined = this.channels.has(channel);
-          
-          this.secondaryBot.join(`#${channel}`);
-          this.channels.set(channel, { primary: false, secondary: true });
-          
-          
-          await new Promise(resolve => setTimeout(resolve, 667));
-          
-          if ((i + 1) % 10 === 0) {
-            console.log(`📊 Secondary: ${i + 1}/${secondaryChannels.length} channels joined`);
-          }
-        }
-      }
+      // Distribute channels across the pool by load (max 80 per connection, shards added as needed)
+      for (const channel of channels) this.assignChannel(channel);
+      this.rebalanceConnections();
+
+      const loads = this.getConnectionLoads();
+      console.log(`🎯 Joining ${channels.length} channels across ${this.connections.size} connections:`,
+        Object.fromEntries(loads));
       
-      console.log(`✅ Joined ${channels.length} channels total (${primaryChannels.length} primary, ${secondaryChannels.length} secondary)`);
-      console.log(`⏰ Channel joining completed in ~${Math.ceil(channels.length * 667 / 1000)} seconds with anti-spam throttling`);
+      // Queue every JOIN; the scheduler paces them and holds back shards that aren't registered yet
+      for (const channel of channels) this.enqueueJoin(channel);
+
+      const { total } = this.getJoinQueueDepth();
+      const perSecond = (this.joinRateLimit / 2) / (this.joinWindowMs / 1000);
+      console.log(`✅ Queued ${total} channel JOINs (~${Math.ceil(total / perSecond)}s at ${perSecond}/s with anti-spam throttling)`);
     } catch (error) {
       console.error('❌ Failed to load channels:', error.message);
       console.log('⚠️ Bot will continue with empty channel list');
     }
   }
 
+  // ---- Metrics & health (opt-in local HTTP listener) ----
+
+  metricKey(name, labels) {
+    return name + JSON.stringify(labels || {});
+  }
+
+  incCounter(name, labels = {}, by = 1) {
+    const key = this.metricKey(name, labels);
+    const counter = this.metrics.counters.get(key) || { name, labels, value: 0 };
+    counter.value += by;
+    this.metrics.counters.set(key, counter);
+  }
+
+  observeHistogram(name, value, labels = {}) {
+    const key = this.metricKey(name, labels);
+    let hist = this.metrics.histograms.get(key);
+    if (!hist) {
+      const buckets = EloWardTwitchBot.HISTOGRAM_BUCKETS_MS;
+      hist = { name, labels, buckets, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+      this.metrics.histograms.set(key, hist);
+    }
+    hist.buckets.forEach((le, i) => { if (value <= le) hist.counts[i]++; });
+    hist.sum += value;
+    hist.count++;
+  }
+
+  // Record message decision latency; returns the duration for logging
+  observeDecision(decision, startTime) {
+    const duration = Date.now() - startTime;
+    this.observeHistogram('eloward_message_decision_ms', duration, { decision });
+    return duration;
+  }
+
+  observeWorkerCall(endpoint, startTime, status) {
+    this.observeHistogram('eloward_worker_request_ms', Date.now() - startTime, { endpoint });
+    this.incCounter('eloward_worker_requests_total', { endpoint, status: String(status) });
+  }
+
+  // Redis pub → local invalidation delay, from the message's updated_at (or version as epoch s/ms)
+  observePropagation(data) {
+    let publishedAt = Date.parse(data.updated_at || '');
+    if (isNaN(publishedAt) && Number(data.version) > 0) {
+      const version = Number(data.version);
+      publishedAt = version > 1e12 ? version : version * 1000;
+    }
+    if (!isNaN(publishedAt) && publishedAt <= Date.now()) {
+      this.observeHistogram('eloward_config_propagation_ms', Date.now() - publishedAt);
+    }
+  }
+
+  formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (!entries.length) return '';
+    return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')}}`;
+  }
+
+  // Prometheus text exposition of counters, histograms and live connection/Helix state
+  renderMetrics() {
+    // Samples must be grouped per metric family, so collect by name first
+    const families = new Map(); // name -> {type, lines}
+    const sample = (name, type, line) => {
+      if (!families.has(name)) families.set(name, { type, lines: [] });
+      families.get(name).lines.push(line);
+    };
+
+    for (const c of this.metrics.counters.values()) {
+      sample(c.name, 'counter', `${c.name}${this.formatLabels(c.labels)} ${c.value}`);
+    }
+
+    for (const h of this.metrics.histograms.values()) {
+      h.buckets.forEach((le, i) => {
+        sample(h.name, 'histogram', `${h.name}_bucket${this.formatLabels({ ...h.labels, le })} ${h.counts[i]}`);
+      });
+      sample(h.name, 'histogram', `${h.name}_bucket${this.formatLabels({ ...h.labels, le: '+Inf' })} ${h.count}`);
+      sample(h.name, 'histogram', `${h.name}_sum${this.formatLabels(h.labels)} ${h.sum}`);
+      sample(h.name, 'histogram', `${h.name}_count${this.formatLabels(h.labels)} ${h.count}`);
+    }
+
+    // Helix per endpoint: one outcome per finished request, so helix_timeout_failure_rate = error / (ok + error)
+    // on moderation/bans. Retries, 429s and 401s happen inside a request and get their own counters.
+    for (const [endpoint, stats] of this.helixStats) {
+      const labels = this.formatLabels({ endpoint });
+      sample('eloward_helix_requests_total', 'counter', `eloward_helix_requests_total${this.formatLabels({ endpoint, outcome: 'ok' })} ${stats.ok}`);
+      sample('eloward_helix_requests_total', 'counter', `eloward_helix_requests_total${this.formatLabels({ endpoint, outcome: 'error' })} ${stats.errors}`);
+      sample('eloward_helix_retries_total', 'counter', `eloward_helix_retries_total${labels} ${stats.retries}`);
+      sample('eloward_helix_rate_limited_total', 'counter', `eloward_helix_rate_limited_total${labels} ${stats.rateLimited}`);
+      sample('eloward_helix_auth_failures_total', 'counter', `eloward_helix_auth_failures_total${labels} ${stats.authFailures}`);
+    }
+
+    // Join state per connection
+    const loads = this.getConnectionLoads();
+    for (const conn of this.connections.values()) {
+      const labels = this.formatLabels({ connection: conn.id });
+      const gauges = {
+        eloward_connection_registered: conn.registered ? 1 : 0,
+        eloward_channels_assigned: loads.get(conn.id) || 0,
+        eloward_channels_joined: this.joined.get(conn.id)?.size || 0,
+        eloward_join_queue_depth: conn.joinQueue.size,
+        eloward_chat_queue_depth: conn.chatQueue.length
+      };
+      for (const [name, value] of Object.entries(gauges)) {
+        sample(name, 'gauge', `${name}${labels} ${value}`);
+      }
+    }
+
+    const out = [];
+    for (const [name, { type, lines }] of families) {
+      out.push(`# HELP ${name} ${EloWardTwitchBot.METRIC_HELP[name] || name}`);
+      out.push(`# TYPE ${name} ${type}`);
+      out.push(...lines);
+    }
+    return out.join('\n') + '\n';
+  }
+
+  // IRC registration, Redis and token-expiry status for the ECS health check
+  getHealth() {
+    const connections = {};
+    let registered = 0;
+    for (const conn of this.connections.values()) {
+      connections[conn.id] = conn.registered;
+      if (conn.registered) registered++;
+    }
+    const expiresInMinutes = Math.floor((this.tokenExpiresAt - Date.now()) / 60000);
+    const tokenValid = !!this.currentToken && expiresInMinutes > 0;
+    const redisStatus = this.redis ? this.redis.status : 'not_configured';
+
+    // Redis is optional (polling fallback), so it degrades health but never fails it
+    const healthy = registered > 0 && tokenValid;
+    const degraded = registered < this.connections.size || (this.redis && redisStatus !== 'ready');
+
+    return {
+      status: !healthy ? 'unhealthy' : degraded ? 'degraded' : 'healthy',
+      irc: { registered, total: this.connections.size, connections },
+      redis: { status: redisStatus },
+      token: { valid: tokenValid, expires_in_minutes: expiresInMinutes },
+      channels: { expected: this.expectedChannels.size, assigned: this.channels.size },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Opt-in: only listens when METRICS_PORT is set, and only on localhost (ECS health check + sidecar)
+  startMetricsServer() {
+    const port = parseInt(process.env.METRICS_PORT, 10);
+    if (!port) {
+      console.log('📈 Metrics endpoint disabled (set METRICS_PORT to enable)');
+      return;
+    }
+    const host = process.env.METRICS_HOST || '127.0.0.1';
+
+    this.metricsServer = http.createServer((req, res) => {
+      try {
+        if (req.method === 'GET' && req.url === '/metrics') {
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+          res.end(this.renderMetrics());
+        } else if (req.method === 'POST' && req.url.startsWith('/loglevel')) {
+          // POST /loglevel?level=debug[&channel=x][&sample_rate=0.1]
+          const params = new URL(req.url, 'http://localhost').searchParams;
+          const state = this.setLogLevel({
+            level: params.get('level'),
+            channel: params.get('channel') || undefined,
+            sample_rate: params.get('sample_rate') ?? undefined
+          });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(state));
+        } else if (req.method === 'GET' && req.url === '/healthz') {
+          const health = this.getHealth();
+          res.writeHead(health.status === 'unhealthy' ? 503 : 200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(health));
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+
+    this.metricsServer.on('error', (error) => {
+      console.error('❌ Metrics server error:', error.message);
+    });
+    this.metricsServer.listen(port, host, () => {
+      console.log(`📈 Metrics + health endpoint listening on http://${host}:${port} (/metrics, /healthz)`);
+    });
+  }
+
   // Removed reloadChannels - bot stays in all channels 24/7
   // Config changes only affect Standby/Enforcing mode, not channel membership
 
@@ -1269,8 +3301,15 @@ class EloWardTwitchBot {
             const data = JSON.parse(message);
             console.log('⚡ Redis config update:', data.type, data.channel_login);
 
+            // Operator control: {"type":"log_level","level":"debug","channel_login":"x","sample_rate":0.1}
+            if (data.type === 'log_level') {
+              this.setLogLevel({ level: data.level, channel: data.channel_login, sample_rate: data.sample_rate });
+              return;
+            }
+
             if (data.type === 'config_update' && data.channel_login) {
               const channelLogin = data.channel_login;
+              this.observePropagation(data);
 
               // Check for disconnect action first
               if (data.fields?.action === 'disconnect') {
@@ -1281,29 +3320,26 @@ class EloWardTwitchBot {
 
                 // Clear all caches for this channel
                 this.configCache.delete(channelLogin);
+                this.configHistory.delete(channelLogin);
+                this.recentConfigWrites.delete(channelLogin);
 
-                // Leave the channel on both connections (if present)
-                const channelEntry = this.channels.get(channelLogin);
-                if (channelEntry) {
-                  if (channelEntry.primary) {
-                    this.primaryBot.part(`#${channelLogin}`);
-                    this.joined.primary.delete(channelLogin);
-                    console.log(`👋 Left ${channelLogin} on PRIMARY connection`);
-                  }
-                  if (channelEntry.secondary) {
-                    this.secondaryBot.part(`#${channelLogin}`);
-                    this.joined.secondary.delete(channelLogin);
-                    console.log(`👋 Left ${channelLogin} on SECONDARY connection`);
-                  }
-
-                  // Remove from channels map
-                  this.channels.delete(channelLogin);
-                }
+                // Leave the channel on its owning connection (if present)
+                this.releaseChannel(channelLogin);
+                this.rebalanceConnections();
 
                 console.log(`✅ Disconnected from ${channelLogin} - bot will not rejoin`);
                 return;
               }
 
+              // Dashboard (or other out-of-band) changes go into the history too, with previous values from our cache.
+              // Our own chat changes echo back here; those were recorded when they were made.
+              if (data.fields && !this.isConfigChangeEcho(channelLogin, data.fields) && data.source !== 'chat' && this.channels.has(channelLogin)) {
+                const cached = this.getCachedConfig(channelLogin);
+                const previous = data.previous
+                  || (cached ? Object.fromEntries(Object.keys(data.fields).map(field => [field, cached[field] ?? null])) : null);
+                this.recordConfigChange(channelLogin, { actor: data.actor || 'dashboard', source: 'redis', fields: data.fields, previous });
+              }
+
               // Always invalidate cache for instant config propagation
               this.configCache.delete(channelLogin);
               console.log(`🗑️ Cache invalidated for ${channelLogin}`);
@@ -1315,22 +3351,11 @@ class EloWardTwitchBot {
                 // Add to expected channels set
                 this.expectedChannels.add(channelLogin);
 
-                // Determine which connection to use based on current load
-                const primaryCount = Array.from(this.channels.values()).filter(c => c.primary).length;
-                const secondaryCount = Array.from(this.channels.values()).filter(c => c.secondary).length;
-
-                // Use primary if it has space and isn't more loaded than secondary
-                if (primaryCount < this.maxChannelsPerConnection && primaryCount <= secondaryCount) {
-                  console.log(`📍 Joining ${channelLogin} on PRIMARY (${primaryCount + 1}/${this.maxChannelsPerConnection})`);
-                  this.primaryBot.join(`#${channelLogin}`);
-                  this.channels.set(channelLogin, { primary: true, secondary: false });
-                } else if (secondaryCount < this.maxChannelsPerConnection) {
-                  console.log(`📍 Joining ${channelLogin} on SECONDARY (${secondaryCount + 1}/${this.maxChannelsPerConnection})`);
-                  this.secondaryBot.join(`#${channelLogin}`);
-                  this.channels.set(channelLogin, { primary: false, secondary: true });
-                } else {
-                  console.warn(`⚠️ Both connections at capacity, ${channelLogin} will join on next sync`);
-                }
+                // Assign to the least-loaded connection (grows the pool when every shard is full)
+                const conn = this.assignChannel(channelLogin);
+                const load = this.getConnectionLoads().get(conn.id);
+                console.log(`📍 Joining ${channelLogin} on ${conn.id} (${load}/${this.maxChannelsPerConnection})`);
+                this.enqueueJoin(channelLogin);
 
               } else {
                 // We're already in this channel, just log the config change
@@ -1367,17 +3392,13 @@ class EloWardTwitchBot {
       try {
         for (const ch of this.expectedChannels) {
           if (this.bannedOrRejected.has(ch)) continue;
-          const own = this.channels.get(ch);
-          if (!own || (!own.primary && !own.secondary)) {
-            // Assign to the lighter connection (simple balance)
-            const p = this.joined.primary.size, s = this.joined.secondary.size;
-            if (p < this.maxChannelsPerConnection && p <= s) this.channels.set(ch, { primary:true, secondary:false });
-            else if (s < this.maxChannelsPerConnection) this.channels.set(ch, { primary:false, secondary:true });
-            else continue;
-          }
-          const owner = this.channels.get(ch);
-          if (owner.primary && !this.joined.primary.has(ch)) { this.primaryBot.join(`#${ch}`); await new Promise(r => setTimeout(r, 300)); }
-          else if (owner.secondary && !this.joined.secondary.has(ch)) { this.secondaryBot.join(`#${ch}`); await new Promise(r => setTimeout(r, 300)); }
+          // Assign to the lighter connection (simple balance); queue a JOIN if not present
+          this.enqueueJoin(ch);
+        }
+
+        const depth = this.getJoinQueueDepth();
+        if (depth.total > 0) {
+          console.log(`🐕 Watchdog: ${depth.total} JOINs pending`, depth.byConnection);
         }
       } catch (e) {
         console.warn('Watchdog tick error:', e.message);
@@ -1387,6 +3408,166 @@ class EloWardTwitchBot {
     };
     tick();
   }
+  // Why an enforcing channel is currently paused ('offline' | 'category'), or null when rules apply
+  getEnforcementPause(config, channelLogin) {
+    if (config?.enforce_only_when_live && this.isStreamOffline(channelLogin)) return 'offline';
+    const categories = this.parseCategories(config?.categories);
+    if (categories.length) {
+      const gameId = this.getStreamCategory(channelLogin);
+      if (gameId !== null && !categories.includes(gameId)) return 'category';
+    }
+    if (this.getRaidWindow(channelLogin)?.mode === 'suspend') return 'raid';
+    return null;
+  }
+
+  formatPause(paused, channelLogin, lang) {
+    if (paused === 'raid') {
+      const raid = this.getRaidWindow(channelLogin);
+      return this.t(lang, 'pause.raid', { from: raid?.from || '', left: this.formatDuration((raid?.until || Date.now()) - Date.now()) });
+    }
+    const state = this.streamState.get(channelLogin);
+    const category = state?.gameName || (state?.gameId ? this.formatCategory(state.gameId) : this.t(lang, 'pause.no_category'));
+    return this.t(lang, `pause.${paused}`, { category });
+  }
+
+  // Current category (game_id) from a recent poll; '' when the broadcaster has none set, null when unknown
+  getStreamCategory(channelLogin) {
+    const state = this.streamState.get(channelLogin);
+    if (!state?.checkedAt || state.gameId === undefined || Date.now() - state.checkedAt >= this.streamStateMaxAgeMs) return null;
+    return state.gameId;
+  }
+
+  // Category allowlist is stored as comma-separated Twitch game IDs; unset means no category gating
+  parseCategories(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id));
+  }
+
+  formatCategory(gameId) {
+    return EloWardTwitchBot.CATEGORY_NAMES[gameId] || gameId;
+  }
+
+  // True only when a recent poll saw the stream offline (no data yet or stale data: not offline)
+  isStreamOffline(channelLogin) {
+    const state = this.streamState.get(channelLogin);
+    return !!state?.checkedAt && !state.live && Date.now() - state.checkedAt < this.streamStateMaxAgeMs;
+  }
+
+  // Joined channels that need live state or category: enforcing with enforce_only_when_live or categories set.
+  // A config update drops the cached config, so channels we already track stay in until it is refetched.
+  getStreamPollChannels() {
+    return [...this.channels.keys()].filter(ch => {
+      const config = this.getCachedConfig(ch);
+      return config ? !!(config.bot_enabled && (config.enforce_only_when_live || config.categories)) : this.streamState.has(ch);
+    });
+  }
+
+  // First message in a live-only / category-gated channel we have no state for: poll it now instead of waiting for the next tick.
+  // Any state - including a failed attempt - leaves further polls to the scheduled tick.
+  ensureStreamState(channelLogin) {
+    if (this.streamState.has(channelLogin) || this.streamPollPending.has(channelLogin)) return;
+    this.streamPollPending.add(channelLogin);
+    this.pollStreams([channelLogin]).finally(() => this.streamPollPending.delete(channelLogin));
+  }
+
+  // Helix /streams for up to 100 channels per call (user_id when we know it, login otherwise).
+  // Channels missing from the response are offline; their category comes from /channels when they gate on one.
+  async pollStreams(channelLogins = this.getStreamPollChannels()) {
+    for (let i = 0; i < channelLogins.length; i += this.streamPollBatchSize) {
+      const batch = channelLogins.slice(i, i + this.streamPollBatchSize);
+      const ids = batch.filter(ch => this.userIdCache.has(ch)).map(ch => this.userIdCache.get(ch));
+      const logins = batch.filter(ch => !this.userIdCache.has(ch));
+      try {
+        const response = await this.helixRequest('streams', {
+          query: { user_id: ids, user_login: logins, type: 'live', first: this.streamPollBatchSize }
+        });
+        if (!response.ok) {
+          this.log('warn', 'Stream poll failed', { status: response.status, channels: batch.length });
+          this.markStreamPollFailed(batch);
+          continue;
+        }
+
+        const live = new Map(); // login -> stream
+        for (const stream of response.data?.data || []) {
+          const login = String(stream.user_login || '').toLowerCase();
+          this.rememberUserId(login, stream.user_id);
+          live.set(login, stream);
+        }
+        const checkedAt = Date.now();
+        for (const ch of batch) {
+          const previous = this.streamState.get(ch);
+          const stream = live.get(ch);
+          this.streamState.set(ch, {
+            live: !!stream,
+            gameId: stream ? String(stream.game_id || '') : previous?.gameId,
+            gameName: stream ? stream.game_name || '' : previous?.gameName,
+            checkedAt
+          });
+          if (previous?.checkedAt && previous.live !== !!stream) {
+            this.log('info', stream ? 'Stream went live' : 'Stream went offline', { channel: ch });
+          }
+          if (stream && previous?.gameId !== undefined && previous.gameId !== String(stream.game_id || '')) {
+            this.log('info', 'Stream category changed', { channel: ch, game_id: stream.game_id, game_name: stream.game_name });
+          }
+        }
+
+        // No cached config (just updated) may still mean a category allowlist, so look those up too
+        const offlineGated = batch.filter(ch => {
+          if (live.has(ch) || !this.userIdCache.has(ch)) return false;
+          const config = this.getCachedConfig(ch);
+          return config ? !!config.categories : true;
+        });
+        if (offlineGated.length) await this.refreshChannelCategories(offlineGated);
+      } catch (error) {
+        this.log('warn', 'Stream poll error', { channels: batch.length, error: error.message });
+        this.markStreamPollFailed(batch);
+      }
+    }
+  }
+
+  // Remember a failed poll so the chat path (ensureStreamState) doesn't retry on every message;
+  // the next scheduled tick retries. Any earlier result is kept, and ages out as usual.
+  markStreamPollFailed(channelLogins) {
+    const failedAt = Date.now();
+    for (const ch of channelLogins) {
+      const state = this.streamState.get(ch);
+      if (state) state.failedAt = failedAt;
+      else this.streamState.set(ch, { failedAt });
+    }
+  }
+
+  // Helix /channels (up to 100 broadcaster IDs) - the category an offline channel is set to
+  async refreshChannelCategories(channelLogins) {
+    const response = await this.helixRequest('channels', {
+      query: { broadcaster_id: channelLogins.map(ch => this.userIdCache.get(ch)) }
+    });
+    if (!response.ok) {
+      this.log('warn', 'Channel category poll failed', { status: response.status, channels: channelLogins.length });
+      return;
+    }
+    for (const channel of response.data?.data || []) {
+      const state = this.streamState.get(String(channel.broadcaster_login || '').toLowerCase());
+      if (!state) continue;
+      state.gameId = String(channel.game_id || '');
+      state.gameName = channel.game_name || '';
+    }
+  }
+
+  startStreamPolling() {
+    const tick = async () => {
+      try {
+        await this.pollStreams();
+        // Forget channels that no longer need polling
+        const polled = new Set(this.getStreamPollChannels());
+        for (const ch of this.streamState.keys()) if (!polled.has(ch)) this.streamState.delete(ch);
+      } catch (e) {
+        console.warn('Stream poll tick error:', e.message);
+      } finally {
+        this.streamPollTimer = setTimeout(tick, this.streamPollIntervalMs);
+      }
+    };
+    this.streamPollTimer = setTimeout(tick, 5000);
+  }
+
   startConfigSweep() {
     const sweepInterval = 90000 + Math.random() * 30000; // 90-120s with jitter
     
@@ -1401,8 +3582,14 @@ class EloWardTwitchBot {
           this.rankCache.delete(key);
         }
       }
+      this.pruneStrikes();
+      this.prunePublicCooldowns();
+      this.pruneChatterHistory();
       
-      console.log(`🧹 Config sweep complete. Cache sizes: config=${this.configCache.size} (permanent), rank=${this.rankCache.size}`);
+      console.log(`🧹 Config sweep complete. Cache sizes: config=${this.configCache.size} (permanent), rank=${this.rankCache.size}, strikes=${this.strikes.size}`);
+      if (this.helixStats.size > 0) {
+        console.log('📈 Helix counters:', Object.fromEntries(this.helixStats), 'bucket:', this.helixRateLimit);
+      }
     }, sweepInterval);
     
     console.log(`🧹 Config sweep started (${Math.round(sweepInterval/1000)}s interval)`);
@@ -1411,12 +3598,18 @@ class EloWardTwitchBot {
   startChannelRosterRefresh() {
     const refresh = async () => {
       try {
+        const started = Date.now();
         const resp = await fetch(`${this.WORKER_URL}/channels`);
+        this.observeWorkerCall('/channels', started, resp.status);
         if (resp.ok) {
           const { channels } = await resp.json();
           const next = new Set(channels.map(c => c.toLowerCase()));
           for (const ch of next) this.expectedChannels.add(ch);
           for (const ch of [...this.expectedChannels]) if (!next.has(ch)) this.expectedChannels.delete(ch);
+
+          // Channels that dropped off the roster free their slot; surplus shards are retired
+          for (const ch of [...this.channels.keys()]) if (!next.has(ch)) this.releaseChannel(ch);
+          this.rebalanceConnections();
         }
       } catch(_) {}
       setTimeout(refresh, 5 * 60 * 1000);
@@ -1425,24 +3618,174 @@ class EloWardTwitchBot {
   }
 }
 
-// Graceful shutdown with dual connection support
+EloWardTwitchBot.ENFORCEMENT_MODES = ['has_rank', 'min_rank', 'max_rank', 'rank_range'];
+
+// Reply languages - one locales/<lang>.json catalog each, en is the fallback for missing keys
+EloWardTwitchBot.LANGUAGES = ['en', 'es', 'de', 'fr', 'pt', 'ko'];
+
+const TIER_ARG = {
+  name: 'tier', type: 'enum', required: true,
+  values: ['iron', 'bronze', 'silver', 'gold', 'platinum', 'emerald', 'diamond', 'master', 'grandmaster', 'challenger']
+};
+const DIVISION_ARG = { name: 'division', type: 'enum', values: ['i', 'ii', 'iii', 'iv'], aliases: { 1: 'i', 2: 'ii', 3: 'iii', 4: 'iv' } };
+const ON_OFF_ARG = { name: 'state', type: 'enum', required: true, values: ['on', 'off'] };
+
+// !eloward command registry. Each entry declares its name, aliases, permission (anyone | mod | broadcaster |
+// super_admin, inherited by subcommands), argument schema and optional public-reply `cooldown`; handleChatCommand parses, validates
+// and dispatches to `handler`, and !eloward help is generated from the same data (help text: `help.<command>.<subcommand>` in the catalogs).
+// Arg types: enum (values, aliases), int (min, max, clamp), user, duration, string, words (remaining tokens), rest (remaining text).
+EloWardTwitchBot.COMMANDS = [
+  { name: 'help', aliases: ['commands'], permission: 'anyone', cooldown: true, handler: 'handleHelpCommand',
+    args: [{ name: 'command', type: 'words' }] },
+  { name: 'on', aliases: ['enable'], permission: 'mod', handler: 'handleOnCommand' },
+  { name: 'off', aliases: ['disable'], permission: 'mod', handler: 'handleOffCommand' },
+  { name: 'mode', permission: 'mod', handler: 'handleModeCommand',
+    args: [
+      { name: 'mode', type: 'enum', required: true, values: ['has_rank', 'min_rank', 'max_rank', 'rank_range', 'shadow'],
+        aliases: { hasrank: 'has_rank', minrank: 'min_rank', maxrank: 'max_rank', rankrange: 'rank_range', range: 'rank_range' } },
+      { ...TIER_ARG, required: false },
+      DIVISION_ARG
+    ] },
+  { name: 'status', permission: 'mod', handler: 'handleDetailedStatus' },
+  { name: 'check', aliases: ['lookup'], permission: 'mod', handler: 'handleCheckCommand',
+    args: [{ name: 'user', type: 'user', required: true }] },
+  { name: 'exempt', permission: 'mod',
+    subcommands: [
+      { name: 'add', handler: 'handleExemptCommand', args: [{ name: 'user', type: 'user', required: true }] },
+      { name: 'remove', aliases: ['rm', 'del'], handler: 'handleExemptCommand', args: [{ name: 'user', type: 'user', required: true }] },
+      { name: 'list', handler: 'handleExemptCommand' }
+    ] },
+  { name: 'permit', permission: 'mod', handler: 'handlePermitCommand',
+    args: [{ name: 'user', type: 'user', required: true }, { name: 'duration', type: 'duration' }] },
+  { name: 'permits', permission: 'mod', handler: 'handlePermitCommand' },
+  { name: 'unpermit', permission: 'mod', handler: 'handlePermitCommand',
+    args: [{ name: 'user', type: 'user', required: true }] },
+  { name: 'history', permission: 'mod', handler: 'handleHistoryCommand',
+    args: [{ name: 'count', type: 'int', min: 1, max: 10, clamp: true }] },
+  { name: 'undo', permission: 'mod', handler: 'handleUndoCommand' },
+  { name: 'set', permission: 'mod',
+    subcommands: [
+      { name: 'timeout', handler: 'handleSetTimeout',
+        args: [{ name: 'seconds', type: 'int', min: 1, max: 1209600, clamp: true, required: true }] },
+      { name: 'min_rank', aliases: ['minrank'], handler: 'handleSetRankBound', args: [TIER_ARG, DIVISION_ARG] },
+      { name: 'max_rank', aliases: ['maxrank'], handler: 'handleSetRankBound', args: [TIER_ARG, DIVISION_ARG] },
+      { name: 'region', handler: 'handleSetRegion',
+        args: [{ name: 'region', type: 'enum', required: true, values: () => [...EloWardTwitchBot.REGIONS, 'any'] }] },
+      { name: 'queue', handler: 'handleSetQueue',
+        args: [{ name: 'queue', type: 'enum', required: true, values: ['solo', 'flex', 'any'], aliases: { soloq: 'solo', duo: 'solo' } }] },
+      { name: 'grace',
+        subcommands: [
+          { name: 'off', handler: 'handleSetGrace' },
+          { name: 'messages', handler: 'handleSetGrace',
+            args: [{ name: 'count', type: 'int', min: 0, max: 100, clamp: true, required: true }] },
+          { name: 'minutes', handler: 'handleSetGrace',
+            args: [{ name: 'minutes', type: 'int', min: 0, max: 1440, clamp: true, required: true }] },
+          { name: 'first', handler: 'handleSetGrace', args: [ON_OFF_ARG] }
+        ] },
+      { name: 'action', handler: 'handleSetAction',
+        args: [{ name: 'action', type: 'enum', required: true, values: (bot) => bot.enforcementActions }] },
+      { name: 'ladder', aliases: ['strikes'], handler: 'handleSetLadder',
+        args: [{ name: 'steps', type: 'words', required: true }] },
+      { name: 'decay', handler: 'handleSetDecay',
+        args: [{ name: 'minutes', type: 'int', min: 1, max: 10080, clamp: true, required: true }] },
+      { name: 'exempt',
+        subcommands: [
+          { name: 'subs', aliases: ['sub'], handler: 'handleSetExemptGroup', args: [ON_OFF_ARG] },
+          { name: 'vips', aliases: ['vip'], handler: 'handleSetExemptGroup', args: [ON_OFF_ARG] },
+          { name: 'founders', aliases: ['founder'], handler: 'handleSetExemptGroup', args: [ON_OFF_ARG] },
+          { name: 'tier', handler: 'handleSetExemptTier',
+            args: [{ name: 'tier', type: 'int', min: 1, max: 3, required: true }] }
+        ] },
+      { name: 'cooldown',
+        subcommands: [
+          { name: 'channel', handler: 'handleSetCooldown',
+            args: [{ name: 'seconds', type: 'int', min: 0, max: 3600, clamp: true, required: true }] },
+          { name: 'user', handler: 'handleSetCooldown',
+            args: [{ name: 'seconds', type: 'int', min: 0, max: 3600, clamp: true, required: true }] },
+          { name: 'off', handler: 'handleSetCooldown' }
+        ] },
+      { name: 'language', aliases: ['lang'], handler: 'handleSetLanguage',
+        args: [{ name: 'language', type: 'enum', required: true, values: () => EloWardTwitchBot.LANGUAGES }] },
+      { name: 'basis', handler: 'handleSetBasis',
+        args: [{ name: 'basis', type: 'enum', required: true, values: () => EloWardTwitchBot.RANK_BASES, aliases: { best: 'best_of', bestof: 'best_of' } }] },
+      { name: 'live_only', aliases: ['liveonly', 'live'], handler: 'handleSetLiveOnly', args: [ON_OFF_ARG] },
+      { name: 'categories', aliases: ['category', 'games'], handler: 'handleSetCategories',
+        args: [{ name: 'categories', type: 'words', required: true }] },
+      { name: 'raid', aliases: ['raids'], handler: 'handleSetRaid',
+        args: [
+          { name: 'mode', type: 'enum', required: true, values: (bot) => bot.raidProtectionModes, aliases: { warn_only: 'warn', on: 'suspend' } },
+          { name: 'minutes', type: 'int', min: 1, max: 120, clamp: true }
+        ] },
+      { name: 'reason', handler: 'handleSetReason',
+        args: [{ name: 'message', type: 'rest', required: true }] }
+    ] }
+];
+
+// Twitch categories (game_id) for the category allowlist; `default` is League of Legends + TFT
+EloWardTwitchBot.CATEGORY_NAMES = { 21779: 'League of Legends', 513143: 'Teamfight Tactics' };
+EloWardTwitchBot.CATEGORY_ALIASES = { lol: '21779', league: '21779', tft: '513143' };
+EloWardTwitchBot.DEFAULT_CATEGORIES = ['21779', '513143'];
+
+// Placeholders accepted in timeout reasons, plus the Master+ flags usable as {#flag}...{/flag} sections
+EloWardTwitchBot.REASON_VARIABLES = ['user', 'tier', 'division', 'max_tier', 'max_division', 'seconds', 'site', 'user_rank', 'channel'];
+EloWardTwitchBot.REASON_FLAGS = ['master', 'max_master', 'user_master'];
+
+// Which rank min/max comparisons use; peak/best_of need peak data in the Worker's rank payload
+EloWardTwitchBot.RANK_BASES = ['current', 'peak', 'best_of'];
+
+// Riot platform IDs -> logical regions used in config (required_region)
+EloWardTwitchBot.PLATFORM_REGIONS = {
+  NA1: 'na', EUW1: 'euw', EUN1: 'eune', KR: 'kr', BR1: 'br', LA1: 'lan', LA2: 'las', OC1: 'oce',
+  TR1: 'tr', RU: 'ru', JP1: 'jp', PH2: 'ph', SG2: 'sg', TH2: 'th', TW2: 'tw', VN2: 'vn', ME1: 'me'
+};
+EloWardTwitchBot.REGIONS = Object.values(EloWardTwitchBot.PLATFORM_REGIONS);
+EloWardTwitchBot.QUEUE_LABELS = { solo: 'Solo/Duo', flex: 'Flex' };
+
+EloWardTwitchBot.LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Latency buckets (ms) shared by every histogram - covers the <400ms decision target and slow Worker/Helix calls
+EloWardTwitchBot.HISTOGRAM_BUCKETS_MS = [5, 10, 25, 50, 100, 200, 400, 800, 1600, 3200, 10000];
+
+EloWardTwitchBot.METRIC_HELP = {
+  eloward_message_decision_ms: 'Chat message decision latency in ms by decision',
+  eloward_cache_requests_total: 'Local cache lookups by cache and hit/miss',
+  eloward_worker_request_ms: 'Cloudflare Worker call latency in ms by endpoint',
+  eloward_worker_requests_total: 'Cloudflare Worker calls by endpoint and HTTP status',
+  eloward_helix_request_ms: 'Helix request latency in ms by endpoint',
+  eloward_helix_requests_total: 'Finished Helix requests by endpoint and outcome (ok | error)',
+  eloward_helix_retries_total: 'Helix request retries (429, 5xx, network errors) by endpoint',
+  eloward_helix_rate_limited_total: 'Helix 429 responses retried after the rate-limit reset by endpoint',
+  eloward_helix_auth_failures_total: 'Helix 401 responses that triggered a token re-sync by endpoint',
+  eloward_config_propagation_ms: 'Redis config update propagation delay in ms',
+  eloward_connection_registered: 'Whether the IRC connection is registered',
+  eloward_channels_assigned: 'Channels assigned to the IRC connection',
+  eloward_channels_joined: 'Channels actually joined on the IRC connection',
+  eloward_join_queue_depth: 'Pending JOINs on the IRC connection',
+  eloward_chat_queue_depth: 'Pending outbound chat messages on the IRC connection',
+  eloward_command_cooldown_suppressed_total: 'Public command replies suppressed by cooldown by command and scope',
+  eloward_raid_windows_total: 'Raid protection windows opened by mode'
+};
+
+// Graceful shutdown with pooled connection support
 process.on('SIGTERM', () => {
   console.log('👋 Shutting down gracefully...');
   if (bot?.redis) bot.redis.disconnect();
-  if (bot?.primaryBot) bot.primaryBot.quit('Server shutdown');
-  if (bot?.secondaryBot) bot.secondaryBot.quit('Server shutdown');
+  for (const conn of bot?.connections?.values() || []) conn.client.quit('Server shutdown');
   if (bot?.tokenCheckInterval) clearInterval(bot.tokenCheckInterval);
   if (bot?.configSweepInterval) clearInterval(bot.configSweepInterval);
+  if (bot?.streamPollTimer) clearTimeout(bot.streamPollTimer);
+  if (bot?.metricsServer) bot.metricsServer.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('👋 Interrupted - shutting down gracefully...');
   if (bot?.redis) bot.redis.disconnect();
-  if (bot?.primaryBot) bot.primaryBot.quit('Server shutdown');
-  if (bot?.secondaryBot) bot.secondaryBot.quit('Server shutdown');
+  for (const conn of bot?.connections?.values() || []) conn.client.quit('Server shutdown');
   if (bot?.tokenCheckInterval) clearInterval(bot.tokenCheckInterval);
   if (bot?.configSweepInterval) clearInterval(bot.configSweepInterval);
+  if (bot?.streamPollTimer) clearTimeout(bot.streamPollTimer);
+  if (bot?.metricsServer) bot.metricsServer.close();
   process.exit(0);
 });
 